@@ -0,0 +1,92 @@
+/**
+ * Compares the RoutesTree matcher with the compiled matcher on a large route
+ * table, and checks that both return identical results for every request.
+ *
+ * Usage: npm run benchmark [-- <routes> <iterations>]
+ *
+ * The sources are compiled into `benchmark/dist` rather than `esm`, so that
+ * running the benchmark leaves the published build untouched. The script
+ * marks that directory as `"type": "module"`, since the package itself is not.
+ */
+import { performance } from "node:perf_hooks";
+import { deepStrictEqual } from "node:assert";
+import Router from "./dist/Router.js";
+
+const routeCount = Number(process.argv[2] ?? 5000);
+const iterations = Number(process.argv[3] ?? 200000);
+const noop = () => {};
+
+/**
+ * Builds a router with a mix of static, parameterized, constrained and
+ * wildcard routes spread over several resource prefixes.
+ */
+function buildRouter() {
+    const router = new Router();
+
+    for (let i = 0; routeCount > i * 5; i++) {
+        const resource = `/api/v${i % 3}/resource${i}`;
+        router.get(resource, noop);
+        router.get(`${resource}/:id`, noop).where('id', /^\d+$/);
+        router.get(`${resource}/:slug`, noop);
+        router.post(`${resource}/:id/items/:itemId`, noop);
+        router.get(`${resource}/files/*path`, noop);
+    }
+
+    return router;
+}
+
+/**
+ * Builds the requests to match: hits for every route shape and misses.
+ */
+function buildRequests() {
+    const requests = [];
+    const resources = Math.ceil(routeCount / 5);
+
+    for (let i = 0; i < 1000; i++) {
+        const n = (i * 7919) % resources;
+        const resource = `/api/v${n % 3}/resource${n}`;
+        requests.push(
+            ['GET', resource],
+            ['GET', `${resource}/${i}`],
+            ['GET', `${resource}/item-${i}`],
+            ['POST', `${resource}/${i}/items/${i * 2}`],
+            ['GET', `${resource}/files/a/b/${i}.txt`],
+            ['GET', `${resource}//trailing/`],
+            ['GET', `/missing/${i}`],
+        );
+    }
+
+    return requests;
+}
+
+/**
+ * Runs the matcher over the requests and returns the number of lookups per second.
+ */
+function measure(matcher, requests) {
+    const start = performance.now();
+
+    for (let i = 0; i < iterations; i++) {
+        const [method, url] = requests[i % requests.length];
+        matcher.findRoute(method, url);
+    }
+
+    return Math.round(iterations / ((performance.now() - start) / 1000));
+}
+
+const router = buildRouter();
+const requests = buildRequests();
+const tree = router.tree;
+const compiled = router.compile().matcher;
+const cached = router.compile({ cacheSize: 8192 }).matcher;
+
+for (const [method, url] of requests) {
+    deepStrictEqual(compiled.findRoute(method, url), tree.findRoute(method, url), `${method} ${url}`);
+    deepStrictEqual(cached.findRoute(method, url), tree.findRoute(method, url), `${method} ${url}`);
+}
+
+console.log(`${tree.routes.length} routes, ${requests.length} distinct requests, ${iterations} lookups`);
+console.table({
+    'RoutesTree': { 'ops/sec': measure(tree, requests) },
+    'compile()': { 'ops/sec': measure(compiled, requests) },
+    'compile({ cacheSize: 8192 })': { 'ops/sec': measure(cached, requests) },
+});
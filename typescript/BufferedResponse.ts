@@ -0,0 +1,224 @@
+import { Writable } from "node:stream";
+import type { OutgoingHttpHeaders } from "node:http";
+
+type HeaderValue = number | string | readonly string[];
+
+/**
+ * A writable stream with the interface of `ServerResponse` used by the router
+ * and by handlers, that keeps the status, the headers and the body in memory
+ * instead of writing them to a socket. Used to run requests that do not come
+ * from a Node.js HTTP server.
+ */
+class BufferedResponse extends Writable {
+    statusCode = 200;
+    statusMessage = '';
+    chunks: Buffer[] = [];
+    ended: Promise<void>;
+    private headerMap = new Map<string, { name: string; value: HeaderValue }>();
+    private sent = false;
+    private writes = 0;
+
+    /**
+     * Constructs a new BufferedResponse instance.
+     */
+    constructor() {
+        super();
+        this.ended = new Promise((resolve) => {
+            this.once('finish', resolve);
+            this.once('close', resolve);
+        });
+    }
+
+    /**
+     * Whether the status and the headers can no longer be changed, as for
+     * `ServerResponse`.
+     */
+    get headersSent(): boolean {
+        return this.sent || this.writableEnded;
+    }
+
+    /**
+     * Whether the response has ended, as the deprecated
+     * `ServerResponse.finished` still checked by some handlers.
+     */
+    get finished(): boolean {
+        return this.writableEnded;
+    }
+
+    /**
+     * The body written so far.
+     */
+    get body(): Buffer {
+        return Buffer.concat(this.chunks);
+    }
+
+    /**
+     * Sets a header, replacing any previous value.
+     *
+     * @param name - The name of the header.
+     * @param value - The value of the header.
+     * @returns The response, for chaining.
+     * @throws If the headers have already been sent.
+     */
+    setHeader(name: string, value: HeaderValue): this {
+        this.assertHeadersNotSent();
+        this.headerMap.set(name.toLowerCase(), { name, value });
+        return this;
+    }
+
+    /**
+     * Appends a value to a header.
+     *
+     * @param name - The name of the header.
+     * @param value - The value to append.
+     * @returns The response, for chaining.
+     * @throws If the headers have already been sent.
+     */
+    appendHeader(name: string, value: string | readonly string[]): this {
+        const existing = this.getHeader(name);
+        const values = existing === undefined ? [] : [existing].flat().map(String);
+
+        return this.setHeader(name, [...values, ...[value].flat()]);
+    }
+
+    /**
+     * Returns the value of a header.
+     *
+     * @param name - The name of the header, in any case.
+     * @returns The value, or undefined if the header is not set.
+     */
+    getHeader(name: string): HeaderValue | undefined {
+        return this.headerMap.get(name.toLowerCase())?.value;
+    }
+
+    /**
+     * Returns all the headers, keyed by their lowercase name.
+     */
+    getHeaders(): OutgoingHttpHeaders {
+        return Object.fromEntries([...this.headerMap].map(([key, { value }]) => [key, value])) as OutgoingHttpHeaders;
+    }
+
+    /**
+     * Returns the lowercase names of the headers.
+     */
+    getHeaderNames(): string[] {
+        return [...this.headerMap.keys()];
+    }
+
+    /**
+     * Checks whether a header is set.
+     */
+    hasHeader(name: string): boolean {
+        return this.headerMap.has(name.toLowerCase());
+    }
+
+    /**
+     * Removes a header.
+     *
+     * @throws If the headers have already been sent.
+     */
+    removeHeader(name: string): void {
+        this.assertHeadersNotSent();
+        this.headerMap.delete(name.toLowerCase());
+    }
+
+    /**
+     * Sets the status and the headers and marks them as sent, as
+     * `ServerResponse.writeHead()` does.
+     *
+     * @param statusCode - The HTTP status code.
+     * @param statusMessage - The status message, or the headers.
+     * @param headers - The headers, as an object or a flat array of names and values.
+     * @returns The response, for chaining.
+     * @throws If the headers have already been sent.
+     */
+    writeHead(statusCode: number, statusMessage?: string | OutgoingHttpHeaders | HeaderValue[], headers?: OutgoingHttpHeaders | HeaderValue[]): this {
+        this.assertHeadersNotSent();
+
+        if (typeof statusMessage === 'string') {
+            this.statusMessage = statusMessage;
+        } else {
+            headers = statusMessage;
+        }
+
+        if (Array.isArray(headers)) {
+            for (let index = 0; index + 1 < headers.length; index += 2) {
+                this.setHeader(String(headers[index]), headers[index + 1]);
+            }
+        } else {
+            for (const [name, value] of Object.entries(headers ?? {})) {
+                if (value !== undefined) {
+                    this.setHeader(name, value);
+                }
+            }
+        }
+
+        this.statusCode = statusCode;
+        this.sent = true;
+
+        return this;
+    }
+
+    /**
+     * Marks the headers as sent.
+     */
+    flushHeaders(): void {
+        this.sent = true;
+    }
+
+    /**
+     * Keeps a chunk of the body.
+     * @private
+     */
+    _write(chunk: Buffer, encoding: BufferEncoding, callback: (error?: Error | null) => void): void {
+        this.sent = true;
+        this.writes++;
+        this.chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding));
+        callback();
+    }
+
+    /**
+     * Waits for the response to end, once the request has been handled. A
+     * response still open is given `idleTimeout` milliseconds without a write
+     * to end, so that actions that keep writing after they return (e.g., with
+     * `stream.pipe(res)`) still work, while a response that is never ended
+     * does not wait forever.
+     *
+     * @param idleTimeout - The time to wait without a write, in milliseconds.
+     * @returns A Promise that resolves once the response has ended.
+     * @throws If the response is idle for longer than `idleTimeout`.
+     */
+    waitForEnd(idleTimeout = 5000): Promise<void> {
+        return new Promise((resolve, reject) => {
+            let writes = -1;
+            let timer: NodeJS.Timeout | undefined;
+
+            const check = () => {
+                if (this.writes === writes) {
+                    reject(new Error(`The response was not ended within ${idleTimeout}ms after the request was handled`));
+                    return;
+                }
+                writes = this.writes;
+                timer = setTimeout(check, idleTimeout);
+            };
+
+            check();
+            this.ended.then(() => {
+                clearTimeout(timer);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Throws the error of `ServerResponse` once the headers have been sent.
+     * @private
+     */
+    private assertHeadersNotSent(): void {
+        if (this.headersSent) {
+            throw Object.assign(new Error('Cannot set headers after they are sent to the client'), { code: 'ERR_HTTP_HEADERS_SENT' });
+        }
+    }
+}
+
+export default BufferedResponse;
@@ -0,0 +1,291 @@
+import type Route from "./Route.js";
+import type { Segment } from "./Route.js";
+import type { Params } from "./Router.js";
+import type RoutesTree from "./RoutesTree.js";
+import type { RouteMatch, RouteNode } from "./RoutesTree.js";
+
+export interface CompiledNode {
+    label: string[];
+    statics: Map<string, CompiledNode>;
+    params: CompiledNode[];
+    wildcards: CompiledNode[];
+    segment?: Segment;
+    route?: Route;
+}
+
+export interface CompileOptions {
+    cacheSize?: number;
+}
+
+/**
+ * A read-only matcher compiled from a `RoutesTree`, returning the same results
+ * as `RoutesTree.findRoute()` with less work per request:
+ *
+ * - routes made only of static segments are looked up in a `Map` by path;
+ * - chains of static nodes without routes or other children are collapsed
+ *   into a single edge (radix compression);
+ * - parameter children are sorted by priority once, at compile time;
+ * - the URL is walked by index instead of being split into an array;
+ * - recent lookups can be kept in an LRU cache (`cacheSize`).
+ *
+ * Conditions set with `where()` after compiling still apply, but do not
+ * change the priority order of parameter siblings, and cached lookups assume
+ * that conditions are deterministic.
+ */
+class CompiledTree {
+    tree: RoutesTree;
+    methods = new Map<string, CompiledNode>();
+    staticRoutes = new Map<string, Map<string, Route>>();
+    cache?: Map<string, RouteMatch | null>;
+    cacheSize: number;
+
+    /**
+     * Compiles the given routes tree.
+     *
+     * @param tree - The routes tree to compile.
+     * @param options - The compile options; `cacheSize` enables an LRU cache of
+     * that many recent lookups.
+     * @throws If the cache size is not a non-negative integer.
+     */
+    constructor(tree: RoutesTree, options: CompileOptions = {}) {
+        this.tree = tree;
+        this.cacheSize = options.cacheSize ?? 0;
+
+        if (!Number.isInteger(this.cacheSize) || this.cacheSize < 0) {
+            throw new TypeError('cacheSize should be a non-negative integer');
+        }
+
+        if (this.cacheSize) {
+            this.cache = new Map();
+        }
+
+        for (const [method, node] of tree.root.children) {
+            const staticRoutes = new Map<string, Route>();
+            this.collectStaticRoutes(node, '', staticRoutes);
+
+            this.methods.set(method, this.compileNode(node, []));
+            this.staticRoutes.set(method, staticRoutes);
+        }
+    }
+
+    /**
+     * Find a route that matches the given HTTP method and URL.
+     *
+     * @param method The HTTP method to match
+     * @param url The URL to match
+     * @param ignoreTypes Whether to skip the parameter type conditions
+     * @returns An object with the matched route and the parsed URL parameters, or null if no route is found
+     */
+    findRoute(method: string, url: string, ignoreTypes = false): RouteMatch | null {
+        const root = this.methods.get(method);
+        if (!root) {
+            return null;
+        }
+
+        const staticRoute = this.staticRoutes.get(method)!.get(this.tree.staticKey(this.normalizePath(url)));
+        if (staticRoute) {
+            return { route: staticRoute, params: {} };
+        }
+
+        if (!this.cache || ignoreTypes) {
+            return this.matchNode(root, url, 0, {}, ignoreTypes);
+        }
+
+        const key = `${method} ${url}`;
+        let match = this.cache.get(key);
+
+        if (match !== undefined) {
+            this.cache.delete(key); // Refresh the entry as the most recently used
+        } else {
+            match = this.matchNode(root, url, 0, {}, false);
+            if (this.cache.size >= this.cacheSize) {
+                this.cache.delete(this.cache.keys().next().value!);
+            }
+        }
+
+        this.cache.set(key, match);
+
+        return match && { route: match.route, params: { ...match.params } };
+    }
+
+    /**
+     * Collects the HTTP methods that have a route matching the given URL.
+     *
+     * @param url The URL to match
+     * @returns The methods, in registration order, for which a route matches the URL
+     */
+    allowedMethods(url: string): string[] {
+        const methods: string[] = [];
+
+        for (const method of this.methods.keys()) {
+            if (this.findRoute(method, url)) {
+                methods.push(method);
+            }
+        }
+
+        return methods;
+    }
+
+    /**
+     * Compiles a node and its descendants, collapsing chains of static nodes.
+     *
+     * @param node The node to compile
+     * @param label The static segments consumed by the edge leading to the node
+     * @returns The compiled node
+     * @private
+     */
+    private compileNode(node: RouteNode, label: string[]): CompiledNode {
+        const compiled: CompiledNode = {
+            label,
+            statics: new Map(),
+            params: this.tree.orderParamNodes(node.params).map(child => this.compileNode(child, [])),
+            wildcards: node.wildcards.map(child => this.compileNode(child, [])),
+            segment: node.segment,
+            route: node.route,
+        };
+
+        for (const [key, child] of node.children) {
+            const chain = [key];
+            let target = child;
+
+            while (!target.route && !target.params.length && !target.wildcards.length && target.children.size === 1) {
+                const [[nextKey, next]] = target.children;
+                chain.push(nextKey);
+                target = next;
+            }
+
+            compiled.statics.set(key, this.compileNode(target, chain));
+        }
+
+        return compiled;
+    }
+
+    /**
+     * Collects the routes reachable through static segments only, keyed by path.
+     *
+     * @param node The current node
+     * @param path The path of the node
+     * @param routes The map to collect the routes into
+     * @private
+     */
+    private collectStaticRoutes(node: RouteNode, path: string, routes: Map<string, Route>): void {
+        if (node.route) {
+            routes.set(path || '/', node.route);
+        }
+
+        for (const [key, child] of node.children) {
+            this.collectStaticRoutes(child, `${path}/${key}`, routes);
+        }
+    }
+
+    /**
+     * Recursively matches the URL from the given position, in the same priority
+     * order as `RoutesTree`.
+     *
+     * @param node The current compiled node
+     * @param url The URL to match
+     * @param position The index in the URL where the remaining path starts
+     * @param params The parsed params so far
+     * @param ignoreTypes Whether to skip the parameter type conditions
+     * @returns An object with the route and the parsed params, or null if no route is found
+     * @private
+     */
+    private matchNode(node: CompiledNode, url: string, position: number, params: Params, ignoreTypes: boolean): RouteMatch | null {
+        const start = this.skipSlashes(url, position);
+
+        if (start === url.length) {
+            return node.route && this.tree.validateWheres(node.route, params, ignoreTypes) ? { route: node.route, params } : null;
+        }
+
+        const end = this.segmentEnd(url, start);
+        const part = url.slice(start, end);
+
+        // Match the static edge, which may span several segments
+        const staticNode = node.statics.get(this.tree.staticKey(part));
+        if (staticNode) {
+            let next = end;
+
+            for (let index = 1; index < staticNode.label.length && next !== -1; index++) {
+                const segmentStart = this.skipSlashes(url, next);
+                const segmentEnd = this.segmentEnd(url, segmentStart);
+                const label = staticNode.label[index];
+
+                const matches = this.tree.caseSensitive
+                    ? segmentEnd - segmentStart === label.length && url.startsWith(label, segmentStart)
+                    : this.tree.staticKey(url.slice(segmentStart, segmentEnd)) === label;
+
+                next = matches ? segmentEnd : -1;
+            }
+
+            if (next !== -1) {
+                const exactMatch = this.matchNode(staticNode, url, next, params, ignoreTypes);
+                if (exactMatch) {
+                    return exactMatch;
+                }
+            }
+        }
+
+        // Match parameterized route parts, already sorted by priority
+        for (const child of node.params) {
+            const captured = this.tree.matchSegment(child.segment!, part);
+            if (!captured) {
+                continue;
+            }
+
+            const paramMatch = this.matchNode(child, url, end, { ...params, ...captured }, ignoreTypes);
+            if (paramMatch) {
+                return paramMatch;
+            }
+        }
+
+        // Match wildcard route
+        for (const child of node.wildcards) {
+            const { name } = child.segment as Extract<Segment, { type: 'wildcard' }>;
+            const rest = this.tree.decode(this.normalizePath(url.slice(start)).slice(1));
+            const wildcardMatch = this.matchNode(child, url, url.length, { ...params, [name]: rest }, ignoreTypes);
+            if (wildcardMatch) {
+                return wildcardMatch;
+            }
+        }
+
+        return null; // No match
+    }
+
+    /**
+     * Normalizes a path the way `RoutesTree` splits it: a leading slash, no
+     * empty segments and no trailing slash. Paths that are already normalized
+     * are returned as they are.
+     *
+     * @param path The path to normalize
+     * @returns The normalized path
+     * @private
+     */
+    private normalizePath(path: string): string {
+        if (path[0] === '/' && !path.includes('//') && (path.length === 1 || !path.endsWith('/'))) {
+            return path;
+        }
+        return `/${path.split('/').filter(Boolean).join('/')}`;
+    }
+
+    /**
+     * Returns the index of the first character after a run of slashes.
+     * @private
+     */
+    private skipSlashes(url: string, position: number): number {
+        while (position < url.length && url.charCodeAt(position) === 47) { // "/"
+            position++;
+        }
+        return position;
+    }
+
+    /**
+     * Returns the index where the segment starting at the given position ends.
+     * @private
+     */
+    private segmentEnd(url: string, position: number): number {
+        const end = url.indexOf('/', position);
+        return end === -1 ? url.length : end;
+    }
+}
+
+export default CompiledTree;
@@ -1,13 +1,57 @@
-import { Handler } from "./Router.js";
+import type Router from "./Router.js";
+import type { ErrorHandler, Handler, Middleware, Params, RequestParams, ValidationIssue } from "./Router.js";
+import { paramTypes, isParamType } from "./paramTypes.js";
+import type { ParamType } from "./paramTypes.js";
+import type { RouteSchema } from "./schema.js";
+import { resolveCorsOptions } from "./cors.js";
+import type { CorsOptions } from "./cors.js";
 
-export type Where = RegExp | string[] | ((param: string) => boolean);
+export type Condition = RegExp | string[] | ((param: string) => boolean) | ParamType;
+export type Where = Condition | string;
+
+export interface ParamToken {
+    name: string;
+    pattern?: string;
+}
+
+export type Segment =
+    | { type: 'static'; key: string; value: string }
+    | { type: 'param'; key: string; name: string; pattern?: RegExp; optional: boolean }
+    | { type: 'composite'; key: string; parts: (string | ParamToken)[]; regex: RegExp }
+    | { type: 'wildcard'; key: string; name: string };
+
+export interface RouteMeta {
+    summary?: string;
+    description?: string;
+    tags?: string[];
+    operationId?: string;
+    deprecated?: boolean;
+    requestBody?: Record<string, unknown>;
+    responses?: Record<string, unknown>;
+    [key: string]: unknown;
+}
+
+const PARAM_NAME = /^[A-Za-z_][A-Za-z0-9_]*/;
 
 class Route {
     methods: string[];
     uri: string;
     action: Handler;
-    middlewares: Handler[] = [];
-    wheres: Record<string, Where> = {};
+    middlewares: Middleware[] = [];
+    errorHandlers: ErrorHandler[] = [];
+    wheres: Record<string, Condition> = {};
+    routeName?: string;
+    namePrefix = '';
+    group?: string;
+    host?: string;
+    metadata: RouteMeta = {};
+    schemas: RouteSchema = {};
+    segments: Segment[];
+    variants: Segment[][];
+    paramNames: string[] = [];
+    trailingSlash: boolean;
+    router?: Router;
+    corsOptions?: CorsOptions | false;
 
     /**
      * Constructs a new Route instance.
@@ -19,17 +63,21 @@ class Route {
     constructor(methods: string[], uri: string, action: Handler) {
         this.methods = methods;
         this.uri = this.normalizeUri(uri);
+        this.trailingSlash = /[^/]\/+$/.test(uri);
         this.action = action;
+        this.segments = this.uri.split('/').filter(Boolean).map((segment, index, all) => this.parseSegment(segment, index === all.length - 1));
+        this.variants = this.expandOptionalSegments();
     }
 
-    /** 
-     * Adds one or more middleware functions to the route.
+    /**
+     * Adds one or more middleware functions to the route. They run after the
+     * global middleware and before the route action.
      *
      * @param handlers - The middleware functions to be added. Each handler must be a function.
      * @returns The current Route instance for chaining.
      * @throws If any of the provided handlers is not a function.
      */
-    middleware(...handlers: Handler[]): this {
+    middleware(...handlers: Middleware[]): this {
         for (const handler of handlers) {
             if (typeof handler !== 'function') {
                 throw new TypeError('Middleware must be a function');
@@ -39,9 +87,111 @@ class Route {
         return this;
     }
 
+    /**
+     * Registers an error handler for the errors thrown by the middleware and
+     * the action of the route. It runs before the error handlers of the
+     * enclosing groups and of the router; rethrowing the error passes it on to
+     * them.
+     *
+     * @param handler - The error handler.
+     * @returns The current Route instance for chaining.
+     * @throws If the handler is not a function.
+     */
+    onError(handler: ErrorHandler): this {
+        if (typeof handler !== 'function') {
+            throw new TypeError('Error handler must be a function');
+        }
+        this.errorHandlers.unshift(handler);
+        return this;
+    }
+
+    /**
+     * Configures CORS for the route, in place of the options of the enclosing
+     * groups and of the router.
+     *
+     * @param options - The CORS options: `origin`, `credentials`,
+     * `allowedHeaders`, `exposedHeaders` and `maxAge`, `true` for the
+     * defaults, or `false` to disable CORS for the route.
+     * @returns The current Route instance for chaining.
+     * @throws If an option is invalid.
+     */
+    cors(options: CorsOptions | boolean = true): this {
+        this.corsOptions = resolveCorsOptions(options);
+        return this;
+    }
+
+    /**
+     * Removes the route from its router, for every method it is registered
+     * for. Requests in flight finish with the route.
+     *
+     * @returns Whether the route was registered.
+     * @throws If the router has been compiled.
+     */
+    remove(): boolean {
+        return this.router ? this.router.remove(this) : false;
+    }
+
+    /**
+     * Assigns a name to the route so that its URL can be generated with
+     * `Router.url()`. The name prefixes of the enclosing groups are prepended.
+     *
+     * @param name - The name of the route (e.g., 'users.show').
+     * @returns The current Route instance for chaining.
+     * @throws If the name is not a non-empty string.
+     */
+    name(name: string): this {
+        if (typeof name !== 'string' || !name) {
+            throw new TypeError('Route name must be a non-empty string');
+        }
+        this.routeName = this.namePrefix + name;
+        return this;
+    }
+
+    /**
+     * Attaches documentation metadata to the route, used by
+     * `Router.toOpenAPI()`. Repeated calls are merged.
+     *
+     * @param meta - The metadata: `summary`, `description`, `tags`,
+     * `operationId`, `deprecated`, `requestBody`, `responses` or any other
+     * OpenAPI operation field.
+     * @returns The current Route instance for chaining.
+     * @throws If the metadata is not an object.
+     */
+    meta(meta: RouteMeta): this {
+        if (typeof meta !== 'object' || meta === null || Array.isArray(meta)) {
+            throw new TypeError('Route metadata must be an object');
+        }
+        this.metadata = { ...this.metadata, ...meta };
+        return this;
+    }
+
+    /**
+     * Declares JSON schemas for the request and the response of the route.
+     * Before the action runs, `params`, `query`, `headers` and `body` are
+     * validated, and the request is answered with 400 listing every issue if
+     * one of them is invalid. Strings in `params` and `query` are coerced to the
+     * declared types. `response` maps status codes (or `'default'`) to the
+     * schema of JSON responses. Repeated calls are merged.
+     *
+     * @param schema - The schemas of the route.
+     * @returns The current Route instance for chaining.
+     * @throws If the schemas are not an object.
+     */
+    schema(schema: RouteSchema): this {
+        if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+            throw new TypeError('Route schema must be an object');
+        }
+        this.schemas = { ...this.schemas, ...schema };
+        return this;
+    }
+
     /**
      * Adds a condition to the route that must be satisfied by the
-     * corresponding URL parameter.
+     * corresponding URL parameter. Besides a RegExp, a list of allowed values
+     * or a function, the condition can be a parameter type: the name of a
+     * built-in type (`'int'`, `'uuid'`, `'slug'`, `'date'`) or an object with a
+     * `pattern` and an optional `cast` function. Typed parameters are cast
+     * before they reach `req.params`.
      *
      * @param param The parameter to validate.
      *   If a string, it is the name of the parameter to validate.
@@ -54,10 +204,10 @@ class Route {
      */
     where(param: string | Record<string, Where>, pattern?: Where): this {
         if (typeof param === 'string' && pattern) {
-            this.wheres[param] = this.validateConditionType(pattern);
+            this.wheres[param] = resolveCondition(pattern);
         } else if (typeof param === 'object') {
             for (const key in param) {
-                this.wheres[key] = this.validateConditionType(param[key]);
+                this.wheres[key] = resolveCondition(param[key]);
             }
         } else {
             throw new TypeError('Invalid parameters for where()');
@@ -66,6 +216,97 @@ class Route {
         return this;
     }
 
+    /**
+     * Checks whether a value satisfies the condition registered for the given
+     * parameter. Parameters without a condition are always valid.
+     *
+     * @param param - The name of the parameter.
+     * @param value - The value to check.
+     * @returns `true` if the value satisfies the condition, otherwise `false`.
+     */
+    validateParam(param: string, value: string): boolean {
+        const condition = this.wheres[param];
+
+        if (condition instanceof RegExp) {
+            return condition.test(value);
+        }
+
+        if (Array.isArray(condition)) {
+            return condition.includes(value);
+        }
+
+        if (typeof condition === 'function') {
+            return condition(value);
+        }
+
+        if (isParamType(condition)) {
+            return condition.pattern.test(value);
+        }
+
+        return true;
+    }
+
+    /**
+     * Casts the matched parameters according to the parameter types of the
+     * route. Parameters without a type are passed through unchanged.
+     *
+     * @param params - The raw parameters captured from the URL.
+     * @returns The cast parameters, and an issue for each parameter that does
+     * not satisfy its type or cannot be cast.
+     */
+    castParams(params: Params): { params: RequestParams; issues: ValidationIssue[] } {
+        const cast: RequestParams = {};
+        const issues: ValidationIssue[] = [];
+
+        for (const [param, value] of Object.entries(params)) {
+            const condition = this.wheres[param];
+
+            if (!isParamType(condition)) {
+                cast[param] = value;
+                continue;
+            }
+
+            const type = condition.name ?? 'pattern';
+            if (!condition.pattern.test(value)) {
+                issues.push({ path: `params.${param}`, message: `must be a valid ${type}` });
+                continue;
+            }
+
+            try {
+                cast[param] = condition.cast ? condition.cast(value) : value;
+            } catch (err) {
+                issues.push({ path: `params.${param}`, message: `${(err as Error).message} (${type})` });
+            }
+        }
+
+        return { params: cast, issues };
+    }
+
+    /**
+     * Ranks the segments of the path variant the route matched with, in the
+     * priority order of the routes tree: 0 for static segments, 1 for
+     * constrained parameters, 2 for other parameters and 3 for wildcards.
+     *
+     * @param params - The parameters captured from the URL.
+     * @returns The rank of each segment; lower ranks are more specific.
+     */
+    specificity(params: Params): number[] {
+        return this.variants[0]
+            .filter(segment => segment.type !== 'param' || !segment.optional || params[segment.name] !== undefined)
+            .map(segment => {
+                switch (segment.type) {
+                    case 'static':
+                        return 0;
+                    case 'composite':
+                        return 1;
+                    case 'param':
+                        return segment.pattern || segment.name in this.wheres ? 1 : 2;
+                    default:
+                        return 3;
+                }
+            });
+    }
+
     /**
      * Normalizes the URI by removing trailing slashes and collapsing
      * consecutive slashes into a single slash.
@@ -79,21 +320,208 @@ class Route {
     }
 
     /**
-     * Validates the condition type by ensuring it is a valid pattern
-     * that can be used to validate route parameters.
+     * Parses a single URI segment into a static, parameter, composite or
+     * wildcard segment. Inline patterns (`:id(\d+)`) are registered as
+     * conditions of the route, as if they were passed to `where()`.
+     *
+     * @param text - The segment to parse.
+     * @param isLast - Whether this is the last segment of the URI.
+     * @returns The parsed segment.
+     * @throws If the segment is not a valid pattern.
+     * @private
+     */
+    private parseSegment(text: string, isLast: boolean): Segment {
+        if (text.startsWith('*')) {
+            const name = text.slice(1) || '*';
+            if (name !== '*' && PARAM_NAME.exec(name)?.[0] !== name) {
+                throw new Error(`Invalid wildcard name "${name}" in route ${this.uri}`);
+            }
+            if (!isLast) {
+                throw new Error(`Wildcard must be the last segment in route ${this.uri}`);
+            }
+            this.addParamName(name);
+            return { type: 'wildcard', key: text, name };
+        }
+
+        const parts: (string | ParamToken)[] = [];
+        let optional = false;
+        let literal = '';
+        let index = 0;
+
+        while (index < text.length) {
+            if (text[index] !== ':') {
+                literal += text[index++];
+                continue;
+            }
+
+            const name = PARAM_NAME.exec(text.slice(index + 1))?.[0];
+            if (!name) {
+                throw new Error(`Missing parameter name in segment "${text}" of route ${this.uri}`);
+            }
+            if (!literal && parts.length) {
+                throw new Error(`Parameters must be separated in segment "${text}" of route ${this.uri}`);
+            }
+            index += name.length + 1;
+
+            const token: ParamToken = { name };
+            if (text[index] === '(') {
+                const end = this.findClosingParen(text, index);
+                token.pattern = text.slice(index + 1, end);
+                index = end + 1;
+            }
+
+            if (text[index] === '?') {
+                optional = true;
+                index++;
+            }
+
+            if (literal) {
+                parts.push(literal);
+                literal = '';
+            }
+            parts.push(token);
+        }
+
+        if (literal) {
+            parts.push(literal);
+        }
+
+        const tokens = parts.filter((part): part is ParamToken => typeof part !== 'string');
+
+        for (const token of tokens) {
+            this.addParamName(token.name);
+            if (token.pattern !== undefined) {
+                this.wheres[token.name] = this.compilePattern(token.pattern);
+            }
+        }
+
+        if (!tokens.length) {
+            return { type: 'static', key: text, value: text };
+        }
+
+        if (parts.length === 1) {
+            const [token] = tokens;
+            return {
+                type: 'param',
+                key: optional ? text.slice(0, -1) : text,
+                name: token.name,
+                pattern: token.pattern === undefined ? undefined : this.compilePattern(token.pattern),
+                optional
+            };
+        }
+
+        if (optional) {
+            throw new Error(`Only a whole segment can be optional in route ${this.uri}`);
+        }
+
+        const source = parts
+            .map(part => typeof part === 'string'
+                ? part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+                : `(?<${part.name}>${part.pattern ?? '.+?'})`)
+            .join('');
+
+        return { type: 'composite', key: text, parts, regex: new RegExp(`^${source}$`) };
+    }
+
+    /**
+     * Expands the optional segments of the route into every path variant
+     * they allow, longest first.
+     *
+     * @returns The segment lists of each variant.
+     * @private
+     */
+    private expandOptionalSegments(): Segment[][] {
+        let variants: Segment[][] = [[]];
+
+        for (const segment of this.segments) {
+            variants = segment.type === 'param' && segment.optional
+                ? variants.flatMap(variant => [[...variant, segment], variant])
+                : variants.map(variant => [...variant, segment]);
+        }
+
+        return variants;
+    }
+
+    /**
+     * Records a parameter name, rejecting duplicates.
+     *
+     * @param name - The parameter name.
+     * @throws If the route already has a parameter with this name.
+     * @private
+     */
+    private addParamName(name: string): void {
+        if (this.paramNames.includes(name)) {
+            throw new Error(`Duplicate parameter "${name}" in route ${this.uri}`);
+        }
+        this.paramNames.push(name);
+    }
+
+    /**
+     * Finds the index of the parenthesis closing the one at the given index.
      *
-     * @param pattern The pattern to validate
-     * @returns The validated pattern
-     * @throws If the pattern is invalid
+     * @param text - The segment being parsed.
+     * @param start - The index of the opening parenthesis.
+     * @returns The index of the closing parenthesis.
+     * @throws If the parenthesis is not closed.
      * @private
      */
-    private validateConditionType(pattern: Where): Where {
-        if (pattern instanceof RegExp || Array.isArray(pattern) || typeof pattern === 'function') {
-            return pattern;
+    private findClosingParen(text: string, start: number): number {
+        let depth = 0;
+
+        for (let index = start; index < text.length; index++) {
+            if (text[index] === '\\') {
+                index++;
+            } else if (text[index] === '(') {
+                depth++;
+            } else if (text[index] === ')' && --depth === 0) {
+                return index;
+            }
         }
 
-        throw new TypeError('Pattern must be a RegExp, array or a function');
+        throw new Error(`Unclosed pattern in route ${this.uri}`);
+    }
+
+    /**
+     * Compiles an inline parameter pattern into an anchored regular expression.
+     *
+     * @param source - The pattern source.
+     * @returns The compiled regular expression.
+     * @throws If the pattern is not a valid regular expression.
+     * @private
+     */
+    private compilePattern(source: string): RegExp {
+        try {
+            return new RegExp(`^(?:${source})$`);
+        } catch {
+            throw new Error(`Invalid pattern "${source}" in route ${this.uri}`);
+        }
     }
 }
 
+/**
+ * Validates the condition type by ensuring it is a valid pattern
+ * that can be used to validate route parameters, resolving the names of
+ * built-in parameter types.
+ *
+ * @param pattern The pattern to validate
+ * @returns The validated pattern
+ * @throws If the pattern is invalid
+ */
+function resolveCondition(pattern: Where): Condition {
+    if (typeof pattern === 'string') {
+        if (!Object.prototype.hasOwnProperty.call(paramTypes, pattern)) {
+            throw new TypeError(`Unknown parameter type "${pattern}"`);
+        }
+        return paramTypes[pattern];
+    }
+
+    if (pattern instanceof RegExp || Array.isArray(pattern) || typeof pattern === 'function' || isParamType(pattern)) {
+        return pattern;
+    }
+
+    throw new TypeError('Pattern must be a RegExp, array, function or parameter type');
+}
+
+export { resolveCondition };
+
 export default Route;
\ No newline at end of file
@@ -1,49 +1,237 @@
 import { METHODS } from "node:http";
 import type { IncomingMessage, ServerResponse } from "node:http";
+import { EventEmitter } from "node:events";
+import { performance } from "node:perf_hooks";
 import RoutesTree from "./RoutesTree.js";
-import Route from "./Route.js";
-import { notFoundHandler, errorHandler } from "./middleware.js";
+import BufferedResponse from "./BufferedResponse.js";
+import { toNodeRequest, toFetchResponse } from "./fetch.js";
+import { createInjectRequest, toInjectResponse } from "./inject.js";
+import { send, isWritable, decorateResponse, suppressBody } from "./response.js";
+import { selectResourceRoutes, resourceParam } from "./resource.js";
+import type { ResourceAction, ResourceOptions } from "./resource.js";
+export type { ResponseHelpers } from "./response.js";
+import type { InjectOptions, InjectResponse } from "./inject.js";
+import { HOOK_EVENTS, isHookName } from "./hooks.js";
+import type { Hook, HookContext, HookName } from "./hooks.js";
+export type { Hook, HookContext, HookName } from "./hooks.js";
+export type { ParamType } from "./paramTypes.js";
+import { decodePath } from "./path.js";
+import type { EncodedSlashes } from "./path.js";
+import { parseHost, getHostname, matchHost } from "./host.js";
+import type { HostPattern } from "./host.js";
+import type { RouteMatch } from "./RoutesTree.js";
+import CompiledTree from "./CompiledTree.js";
+import type { CompileOptions } from "./CompiledTree.js";
+import { formatRoutesTable, formatRoutesTree } from "./printRoutes.js";
+import { buildOpenAPIDocument } from "./openapi.js";
+import { ResponseValidationError, validateSchema } from "./schema.js";
+import type { JSONSchema } from "./schema.js";
+import { parseQuery } from "./query.js";
+import type { QueryOptions } from "./query.js";
+import { resolveCorsOptions, allowedOrigin, varyPreflight, setCorsHeaders, sendPreflight } from "./cors.js";
+import type { CorsOptions } from "./cors.js";
+export type { CorsOptions, CorsOrigin } from "./cors.js";
+import { readBody, parseLimit } from "./bodyParser.js";
+import type { BodyOptions } from "./bodyParser.js";
+import { HttpError, BadRequest, Unauthorized, Forbidden, NotFound, Conflict } from "./errors.js";
+import type { OpenAPIDocument, OpenAPIInfo } from "./openapi.js";
+import Route, { resolveCondition } from "./Route.js";
+import type { Condition, RouteMeta, Where } from "./Route.js";
+import { notFoundHandler, methodNotAllowedHandler, errorHandler, createErrorHandler, validationHandler, compose } from "./middleware.js";
 
-export type Handler = (req: IncomingMessage & { params: Params }, res: ServerResponse) => void | Promise<void>;
+export type Request = IncomingMessage & {
+    params: RequestParams;
+    query?: Record<string, unknown>;
+    body?: unknown;
+    parseBody?: () => Promise<unknown>;
+    pathname?: string;
+    mountPath?: string;
+};
+export type Handler = (req: Request, res: ServerResponse) => unknown;
+export type Next = () => Promise<void>;
+export type Middleware = (req: Request, res: ServerResponse, next: Next) => void | Promise<void>;
 export type Params = Record<string, string>;
+export type ParamValue = string | number | boolean | Date;
+export type RequestParams = Record<string, ParamValue>;
+export type UrlParams = Record<string, string | number>;
+export type QueryParams = Record<string, string | number | boolean | (string | number | boolean)[]>;
 export type ErrorHandler = (err: Error, req: IncomingMessage, res: ServerResponse) => void | Promise<void>;
+export type MethodNotAllowedHandler = (req: IncomingMessage, res: ServerResponse, allowed: string[]) => void | Promise<void>;
+export type Controller = object | (new () => object);
+export type TrailingSlash = 'ignore' | 'strict' | 'redirect';
+export type HeadPriority = 'get' | 'head';
+export type ValidationHandler = (req: Request, res: ServerResponse, issues: ValidationIssue[]) => void | Promise<void>;
+
+export interface ValidationIssue {
+    path: string;
+    message: string;
+}
+
+export interface RouterOptions {
+    notFound?: Handler;
+    error?: ErrorHandler;
+    methodNotAllowed?: MethodNotAllowedHandler;
+    validation?: ValidationHandler;
+    invalidParamStatus?: 404 | 400;
+    debug?: boolean;
+    query?: QueryOptions;
+    body?: BodyOptions | boolean;
+    caseSensitive?: boolean;
+    encodedSlashes?: EncodedSlashes;
+    trailingSlash?: TrailingSlash;
+    responseHelpers?: boolean;
+    headPriority?: HeadPriority;
+    cors?: CorsOptions | boolean;
+}
+
+export interface GroupOptions {
+    prefix?: string;
+    middleware?: Middleware | Middleware[];
+    where?: Record<string, Where>;
+    name?: string;
+    host?: string;
+    notFound?: Handler;
+    onError?: ErrorHandler;
+    cors?: CorsOptions | boolean;
+}
+
+export interface RouteDescriptor {
+    methods: string[];
+    uri: string;
+    name?: string;
+    params: string[];
+    wheres: Record<string, Condition>;
+    middleware: number;
+    group?: string;
+    host?: string;
+    mount?: string;
+    meta: RouteMeta;
+}
+
+export interface HostRoutes {
+    host: HostPattern;
+    tree: RoutesTree;
+    matcher?: CompiledTree;
+}
+
+export interface GroupScope {
+    prefix: string;
+    host?: HostPattern;
+    notFound?: Handler;
+    onError?: ErrorHandler;
+}
+
+export interface Mount {
+    prefix: string;
+    router: Router;
+    middlewares: Middleware[];
+}
+
+/**
+ * The hook context of each request being observed, with the routers whose
+ * hooks it reports to: the one that received the request and the mounted
+ * routers it was delegated to, outermost first.
+ */
+const contexts = new WeakMap<IncomingMessage, { context: HookContext; routers: Router[] }>();
 
 class Router {
-    middlewares: Handler[] = [];
-    groupStack: string[] = [];
-    tree: RoutesTree = new RoutesTree;
+    middlewares: Middleware[] = [];
+    groupStack: GroupOptions[] = [];
+    mounts: Mount[] = [];
+    hosts: HostRoutes[] = [];
+    scopes: GroupScope[] = [];
+    tree: RoutesTree;
+    matcher?: CompiledTree;
+    patterns: Record<string, Condition> = {};
     notFoundHandler: Handler;
     errorHandler: ErrorHandler;
+    methodNotAllowedHandler: MethodNotAllowedHandler;
+    validationHandler: ValidationHandler;
+    invalidParamStatus: 404 | 400;
+    queryOptions: QueryOptions;
+    bodyOptions?: BodyOptions;
+    encodedSlashes: EncodedSlashes;
+    trailingSlash: TrailingSlash;
+    responseHelpers: boolean;
+    headPriority: HeadPriority;
+    corsOptions: CorsOptions | false;
+    compileOptions: CompileOptions = {};
+    hooks: Record<HookName, Hook[]> = { onRequest: [], onMatch: [], onNotFound: [], onError: [], onResponse: [] };
+    events = new EventEmitter();
 
-    constructor(notFoundFn?: Handler, errorFn?: ErrorHandler) {
-        if (!notFoundFn) {
-            this.notFoundHandler = notFoundHandler;
-        } else {
-            if (typeof notFoundFn !== 'function') {
-                throw new Error('notFound should be a function');
-            }
-            this.notFoundHandler = notFoundFn;
+    /**
+     * Constructs a new Router instance.
+     *
+     * @param notFoundFn - The handler for requests that match no route, or an
+     * object with all the router options.
+     * @param errorFn - The handler for errors thrown while handling a request.
+     * @param methodNotAllowedFn - The handler for requests whose path only
+     * matches under other HTTP methods.
+     * @throws If one of the handlers is not a function, or an option is invalid.
+     */
+    constructor(notFoundFn?: Handler | RouterOptions, errorFn?: ErrorHandler, methodNotAllowedFn?: MethodNotAllowedHandler) {
+        const options: RouterOptions = typeof notFoundFn === 'object' && notFoundFn !== null
+            ? notFoundFn
+            : { notFound: notFoundFn, error: errorFn, methodNotAllowed: methodNotAllowedFn };
+
+        this.notFoundHandler = this.resolveHandler(options.notFound, notFoundHandler, 'notFound');
+        this.errorHandler = this.resolveHandler(options.error, options.debug ? createErrorHandler({ debug: true }) : errorHandler, 'error');
+        this.methodNotAllowedHandler = this.resolveHandler(options.methodNotAllowed, methodNotAllowedHandler, 'methodNotAllowed');
+        this.validationHandler = this.resolveHandler(options.validation, validationHandler, 'validation');
+
+        this.invalidParamStatus = options.invalidParamStatus ?? 404;
+        if (this.invalidParamStatus !== 404 && this.invalidParamStatus !== 400) {
+            throw new Error('invalidParamStatus should be 404 or 400');
         }
 
-        if (!errorFn) {
-            this.errorHandler = errorHandler;
-        } else {
-            if (typeof errorFn !== 'function') {
-                throw new Error('error should be a function');
-            }
-            this.errorHandler = errorFn;
+        this.encodedSlashes = options.encodedSlashes ?? 'decode';
+        if (!['decode', 'keep', 'reject'].includes(this.encodedSlashes)) {
+            throw new Error("encodedSlashes should be 'decode', 'keep' or 'reject'");
+        }
+
+        this.trailingSlash = options.trailingSlash ?? 'ignore';
+        if (!['ignore', 'strict', 'redirect'].includes(this.trailingSlash)) {
+            throw new Error("trailingSlash should be 'ignore', 'strict' or 'redirect'");
+        }
+
+        this.headPriority = options.headPriority ?? 'get';
+        if (!['get', 'head'].includes(this.headPriority)) {
+            throw new Error("headPriority should be 'get' or 'head'");
+        }
+
+        this.responseHelpers = options.responseHelpers ?? false;
+        this.corsOptions = resolveCorsOptions(options.cors ?? false);
+        this.tree = new RoutesTree({ caseSensitive: options.caseSensitive ?? true, encodedSlashes: this.encodedSlashes });
+        this.queryOptions = options.query ?? {};
+        this.bodyOptions = options.body === true ? {} : options.body || undefined;
+        if (this.bodyOptions?.limit !== undefined) {
+            parseLimit(this.bodyOptions.limit);
         }
     }
 
     /**
-     * Registers a route handler for GET and HEAD requests to a specified URI.
+     * Registers a route handler for GET requests to a specified URI. HEAD
+     * requests are answered by the GET route, without the body, unless a HEAD
+     * route is registered for the same URI.
      *
      * @param uri - The URI pattern to match for the route.
      * @param action - The handler function to execute when the route is matched.
      * @returns The created route instance.
      */
     get(uri: string, action: Handler) {
-        return this.createRoute(['GET', 'HEAD'], uri, action);
+        return this.createRoute('GET', uri, action);
+    }
+
+    /**
+     * Registers a route handler for HEAD requests to a specified URI, in place
+     * of the GET route, e.g. to answer them without building the body.
+     *
+     * @param uri - The URI pattern to match for the route.
+     * @param action - The handler function to execute when the route is matched.
+     * @returns The created route instance.
+     */
+    head(uri: string, action: Handler) {
+        return this.createRoute('HEAD', uri, action);
     }
 
     /**
@@ -137,10 +325,6 @@ class Router {
             return method.toUpperCase();
         });
 
-        if (upperMethods.includes('GET') && !upperMethods.includes('HEAD')) {
-            upperMethods.push('HEAD');
-        }
-
         return this.createRoute(upperMethods, uri, action);
     }
 
@@ -162,37 +346,367 @@ class Router {
             throw new TypeError(`Invalid HTTP method: ${method}`);
         }
 
-        if (upperMethod === 'GET') {
-            return this.createRoute(['GET', 'HEAD'], uri, action);
+        return this.createRoute(upperMethod, uri, action);
+    }
+
+    /**
+     * Registers the routes of a resource, handled by the methods of a
+     * controller with the same names:
+     *
+     * | Action    | Method    | URI                   |
+     * | --------- | --------- | --------------------- |
+     * | `index`   | GET       | `/photos`             |
+     * | `create`  | GET       | `/photos/create`      |
+     * | `store`   | POST      | `/photos`             |
+     * | `show`    | GET       | `/photos/:photoId`    |
+     * | `edit`    | GET       | `/photos/:photoId/edit` |
+     * | `update`  | PUT/PATCH | `/photos/:photoId`    |
+     * | `destroy` | DELETE    | `/photos/:photoId`    |
+     *
+     * The routes are named after the resource and the action (e.g.,
+     * `photos.show`). A dotted name registers a nested resource:
+     * `users.photos` is registered under `/users/:userId/photos`.
+     *
+     * @param name - The name of the resource, e.g. `'photos'` or `'users.photos'`.
+     * @param controller - The controller: an object, or a class instantiated
+     * once without arguments. Its methods are called with the controller as `this`.
+     * @param options - `only` or `except` to select the actions, and `param`
+     * to rename the parameter of the resource (default: singular name + `Id`).
+     * @returns The created routes, keyed by action.
+     * @throws If the name, the controller or the options are invalid, or the
+     * controller has no method for one of the selected actions.
+     */
+    resource(name: string, controller: Controller, options: ResourceOptions = {}): Partial<Record<ResourceAction, Route>> {
+        return this.registerResource(name, controller, options, false);
+    }
+
+    /**
+     * Registers the routes of a resource for an API, like `resource()` but
+     * without the `create` and `edit` routes that serve HTML forms.
+     *
+     * @param name - The name of the resource, e.g. `'photos'` or `'users.photos'`.
+     * @param controller - The controller: an object, or a class instantiated
+     * once without arguments.
+     * @param options - `only`, `except` and `param`, as for `resource()`.
+     * @returns The created routes, keyed by action.
+     * @throws If the name, the controller or the options are invalid, or the
+     * controller has no method for one of the selected actions.
+     */
+    apiResource(name: string, controller: Controller, options: ResourceOptions = {}): Partial<Record<ResourceAction, Route>> {
+        return this.registerResource(name, controller, options, true);
+    }
+
+    /**
+     * Removes a route, and prunes the tree nodes it leaves empty. Given a
+     * method and a URI, the route is only removed for that method; the URI is
+     * resolved against the enclosing groups, as when registering. Given a
+     * `Route`, it is removed for every method. Requests in flight finish with
+     * the route they matched.
+     *
+     * @param method - The HTTP method, or the route to remove.
+     * @param uri - The URI pattern the route was registered with.
+     * @returns Whether a route was removed.
+     * @throws If the router has been compiled.
+     */
+    remove(route: Route): boolean;
+    remove(method: string, uri: string): boolean;
+    remove(method: string | Route, uri?: string): boolean {
+        if (this.matcher) {
+            throw new Error('Routes cannot be removed after the router has been compiled');
+        }
+
+        let registered = method instanceof Route ? null : this.findRegistered(method, uri as string);
+
+        if (method instanceof Route) {
+            const tree = this.treeOf(method);
+            if (tree?.routes.includes(method)) {
+                registered = { route: method, tree, methods: method.methods };
+            }
+        }
+
+        if (!registered) {
+            return false;
+        }
+
+        registered.tree.removeRoute(registered.route, registered.methods);
+        if (!registered.route.methods.length) {
+            registered.route.router = undefined;
+        }
+
+        return true;
+    }
+
+    /**
+     * Registers a route in place of the one registered for the same method
+     * and URI, if any, e.g. to override a route added by a plugin. The
+     * replaced route is only removed for that method, and is restored if the
+     * new route cannot be registered.
+     *
+     * @param method - The HTTP method of the route.
+     * @param uri - The URI pattern to match for the route.
+     * @param action - The handler function to execute when the route is matched.
+     * @returns The created route instance.
+     * @throws If the router has been compiled, or the route is invalid.
+     */
+    replace(method: string, uri: string, action: Handler): Route {
+        if (this.matcher) {
+            throw new Error('Routes cannot be replaced after the router has been compiled');
+        }
+
+        const registered = this.findRegistered(method, uri);
+        const previous = registered?.route.methods;
+
+        if (registered) {
+            registered.tree.removeRoute(registered.route, registered.methods);
         }
 
-        return this.createRoute([method], uri, action);
+        try {
+            return this.method(method, uri, action);
+        } catch (err) {
+            if (registered) {
+                registered.tree.addRoute(registered.route, registered.methods);
+                registered.route.methods = previous!;
+            }
+            throw err;
+        }
     }
 
     /**
-     * Groups a set of route handlers under a common URI prefix.
+     * Groups a set of route handlers under shared options. Every route
+     * registered within the callback inherits the URI prefix, middleware,
+     * parameter conditions, name prefix, host, error handler and CORS options
+     * of the group. Nested groups compose: prefixes and name prefixes are
+     * concatenated, middleware of outer groups runs first, inner conditions,
+     * hosts and CORS options override outer ones and inner error handlers run
+     * first.
      *
-     * @param prefix - The URI prefix to apply to all routes registered
-     * within the provided callback.
+     * The `notFound` handler of the group answers the requests under its
+     * prefix that match no route; the group with the longest matching prefix
+     * wins. Its `onError` handler also handles the errors of those requests.
+     *
+     * @param options - The URI prefix, or an object with the `prefix`,
+     * `middleware`, `where`, `name`, `host`, `notFound`, `onError` and `cors`
+     * options of the group.
      * @param routes - The callback to execute when
      * grouping routes. The Router instance is passed as an argument to the
      * callback.
      * @returns The Router instance to support method chaining.
+     * @throws If the options or the callback are invalid.
+     */
+    group(options: string | GroupOptions, routes: (router: Router) => void) {
+        if (typeof routes !== 'function') {
+            throw new TypeError('The group callback must be a function');
+        }
+
+        const group = typeof options === 'string' ? { prefix: options } : options;
+        if (!group || typeof group !== 'object') {
+            throw new TypeError('Group options must be a string or an object');
+        }
+
+        const middlewares = [group.middleware ?? []].flat();
+        for (const handler of middlewares) {
+            if (typeof handler !== 'function') {
+                throw new TypeError('Middleware must be a function');
+            }
+        }
+
+        for (const name of ['notFound', 'onError'] as const) {
+            if (group[name] !== undefined && typeof group[name] !== 'function') {
+                throw new TypeError(`The ${name} handler of a group must be a function`);
+            }
+        }
+
+        if (group.cors !== undefined) {
+            resolveCorsOptions(group.cors);
+        }
+
+        const host = [...this.groupStack, group].map(item => item.host).filter(Boolean).pop();
+        const scopeHost = host ? parseHost(host) : undefined;
+
+        if (group.notFound || group.onError) {
+            const prefixes = [...this.groupStack, group].map(item => item.prefix ?? '');
+            this.scopes.push({
+                prefix: `/${prefixes.join('/')}`.replace(/\/+/g, '/').replace(/\/$/, '') || '/',
+                host: scopeHost,
+                notFound: group.notFound,
+                onError: group.onError,
+            });
+        }
+
+        this.groupStack.push({ ...group, middleware: middlewares });
+        try {
+            routes(this); // Allow the provided function to register routes with this group
+        } finally {
+            this.groupStack.pop();
+        }
+
+        return this;
+    }
+
+    /**
+     * Groups a set of route handlers that only match requests for the given
+     * host, such as `api.example.com` or `:tenant.example.com`. Host
+     * parameters are merged into `req.params`. Requests whose host matches no
+     * host group fall back to the routes registered without a host.
+     *
+     * @param pattern - The host pattern; `:name` labels are parameters.
+     * @param routes - The callback that registers the routes of the host.
+     * @returns The Router instance to support method chaining.
+     * @throws If the pattern or the callback are invalid.
+     */
+    host(pattern: string, routes: (router: Router) => void) {
+        return this.group({ host: pattern }, routes);
+    }
+
+    /**
+     * Registers a condition for every parameter with the given name in the
+     * routes registered afterwards, unless the route defines its own inline
+     * pattern for it. Conditions set with `Route.where()` or group options
+     * take precedence.
+     *
+     * @param param - The name of the parameter (e.g., 'id').
+     * @param pattern - The condition: a RegExp, a list of allowed values, a
+     * function, or a parameter type (`'int'`, `'uuid'`, `'slug'`, `'date'` or
+     * an object with a `pattern` and an optional `cast` function).
+     * @returns The Router instance to support method chaining.
+     * @throws If the parameter name or the pattern are invalid.
+     */
+    pattern(param: string, pattern: Where) {
+        if (typeof param !== 'string' || !param) {
+            throw new TypeError('The parameter name should be a non-empty string');
+        }
+
+        this.patterns[param] = resolveCondition(pattern);
+
+        return this;
+    }
+
+    /**
+     * Compiles the registered routes into an optimized matcher and freezes the
+     * router: no more routes can be registered afterwards. Matching results are
+     * identical to those of the uncompiled tree. Mounted routers are compiled
+     * as well.
+     *
+     * @param options - The compile options; `cacheSize` enables an LRU cache of
+     * that many recent lookups.
+     * @returns The Router instance to support method chaining.
+     */
+    compile(options: CompileOptions = {}) {
+        this.matcher = new CompiledTree(this.tree, options);
+
+        for (const entry of this.hosts) {
+            entry.matcher = new CompiledTree(entry.tree, options);
+        }
+
+        for (const { router } of this.mounts) {
+            router.compile(options);
+        }
+
+        this.compileOptions = options;
+
+        return this;
+    }
+
+    /**
+     * Replaces the route table atomically. The new routes, groups, host
+     * groups and mounted routers are registered on a separate router passed
+     * to the callback, while this router keeps serving the current ones; they
+     * are then swapped in at once, and compiled first if this router is
+     * compiled. Requests in flight finish with the routes they matched, and
+     * new requests see the new table. The middleware, handlers and options of
+     * this router are kept, as are the patterns registered with `pattern()`.
+     *
+     * @param routes - A callback that registers the new routes; it may be async.
+     * @returns A Promise that resolves with the Router instance once the
+     * table has been swapped. If the callback throws, the table is left as is.
+     * @throws If the callback is not a function.
+     */
+    async swap(routes: (router: Router) => void | Promise<void>): Promise<this> {
+        if (typeof routes !== 'function') {
+            throw new TypeError('The routes callback should be a function');
+        }
+
+        const staging = new Router({ caseSensitive: this.tree.caseSensitive, encodedSlashes: this.encodedSlashes });
+        staging.patterns = { ...this.patterns };
+
+        await routes(staging);
+
+        if (this.matcher) {
+            staging.compile(this.compileOptions);
+        }
+
+        for (const tree of [staging.tree, ...staging.hosts.map(entry => entry.tree)]) {
+            tree.routes.forEach(route => route.router = this);
+        }
+
+        this.tree = staging.tree;
+        this.matcher = staging.matcher;
+        this.hosts = staging.hosts;
+        this.scopes = staging.scopes;
+        this.mounts = staging.mounts;
+
+        return this;
+    }
+
+    /**
+     * Mounts another router under a URI prefix. Every request whose path starts
+     * with the prefix is delegated to the mounted router, which matches it
+     * against the path with the prefix stripped and runs its own middleware,
+     * not-found and error handlers. The middleware of this router and of the
+     * enclosing groups run before the delegation.
+     *
+     * The stripped path is exposed as `req.pathname` and the accumulated mount
+     * prefix as `req.mountPath`.
+     *
+     * @param prefix - The URI prefix to mount the router under.
+     * @param router - The router to mount.
+     * @returns The Router instance to support method chaining.
+     * @throws If the prefix or the router are invalid, the prefix is already
+     * mounted, or the router is mounted inside a host group.
      */
-    group(prefix: string, routes: (router: Router) => void) {
-        this.groupStack.push(prefix);
-        routes(this); // Allow the provided function to register routes with this group
-        this.groupStack.pop();
+    mount(prefix: string, router: Router) {
+        if (typeof prefix !== 'string') {
+            throw new TypeError('The mount prefix should be a string');
+        }
+
+        if (!(router instanceof Router) || router === this) {
+            throw new TypeError('Only another Router instance can be mounted');
+        }
+
+        if (this.groupStack.some(group => group.host !== undefined)) {
+            throw new Error('A router cannot be mounted inside a host group');
+        }
+
+        const prefixes = this.groupStack.map(group => group.prefix ?? '');
+        const normalized = `/${[...prefixes, prefix].join('/')}`.replace(/\/+/g, '/').replace(/\/$/, '');
+
+        if (!normalized) {
+            throw new Error('A router cannot be mounted at the root');
+        }
+
+        if (this.mounts.some(mount => mount.prefix === normalized)) {
+            throw new Error(`A router is already mounted at ${normalized}`);
+        }
+
+        this.mounts.push({
+            prefix: normalized,
+            router,
+            middlewares: this.groupStack.flatMap(group => [group.middleware ?? []].flat()),
+        });
+        this.mounts.sort((a, b) => b.prefix.length - a.prefix.length); // Longest prefix wins
+
+        return this;
     }
 
     /**
-     * Registers one or more middleware functions to be executed by the router.
+     * Registers one or more middleware functions to be executed by the router
+     * before the middleware of the matched route.
      *
      * @param handlers - One or more middleware functions to register.
      * @returns The Router instance to support method chaining.
      * @throws If any of the provided handlers is not a function.
      */
-    middleware(...handlers: Handler[]) {
+    middleware(...handlers: Middleware[]) {
         handlers.forEach(handler => {
             if (typeof handler !== 'function') {
                 throw new TypeError('argument handlers must be the array of functions');
@@ -204,6 +718,192 @@ class Router {
         return this;
     }
 
+    /**
+     * Registers a lifecycle hook. Hooks observe every request received by the
+     * router, including the ones answered with 404, 405 or an error, which
+     * middleware does not see:
+     *
+     * - `onRequest`: before the request is matched.
+     * - `onMatch`: after a route is matched and its parameters are cast.
+     * - `onNotFound`: before the request is answered with the not-found handler.
+     * - `onError`: before an error is passed to the error handlers.
+     * - `onResponse`: once the response has ended, with its status code and duration.
+     *
+     * Each hook is also emitted on `router.events`, without the `on` prefix
+     * (e.g., `'response'`). Hooks are awaited in order; an error thrown by a
+     * hook is logged and does not affect the response.
+     *
+     * @param name - The name of the hook.
+     * @param hook - The function to call with the hook context.
+     * @returns The Router instance to support method chaining.
+     * @throws If the name is unknown, or the hook is not a function.
+     */
+    hook(name: HookName, hook: Hook) {
+        if (!isHookName(name)) {
+            throw new TypeError(`Unknown hook ${name}`);
+        }
+
+        if (typeof hook !== 'function') {
+            throw new TypeError('argument hook must be a function');
+        }
+
+        this.hooks[name].push(hook);
+
+        return this;
+    }
+
+    /**
+     * Generates the URL of a named route.
+     *
+     * Parameter values are URL-encoded and validated against the conditions
+     * registered with `Route.where()`. An unnamed wildcard segment is passed
+     * under the `'*'` key and may contain slashes; optional parameters may be
+     * omitted. Only the path is generated: the parameters of a host group are
+     * accepted but not used.
+     *
+     * @param name - The name assigned with `Route.name()`.
+     * @param params - The values of the route parameters.
+     * @param options - Additional options; `query` is appended as a query string.
+     * @returns The generated URL.
+     * @throws If the route does not exist, or a parameter is missing, unknown or invalid.
+     */
+    url(name: string, params: UrlParams = {}, options: { query?: QueryParams } = {}): string {
+        const route = [this.tree, ...this.hosts.map(entry => entry.tree)]
+            .map(tree => tree.findByName(name))
+            .find(Boolean);
+        if (!route) {
+            throw new Error(`Route [${name}] is not defined`);
+        }
+
+        const used = new Set<string>(route.host ? parseHost(route.host).paramNames : []);
+        const fill = (param: string, optional = false): string | null => {
+            if (params[param] === undefined || params[param] === null) {
+                if (optional) {
+                    return null;
+                }
+                throw new Error(`Missing parameter "${param}" for route [${name}]`);
+            }
+
+            const value = String(params[param]);
+            if (!route.validateParam(param, value)) {
+                throw new Error(`Invalid value "${value}" for parameter "${param}" of route [${name}]`);
+            }
+
+            used.add(param);
+
+            return value;
+        };
+
+        const segments: string[] = [];
+        for (const segment of route.segments) {
+            if (segment.type === 'static') {
+                segments.push(segment.value);
+            } else if (segment.type === 'param') {
+                const value = fill(segment.name, segment.optional);
+                if (value !== null) {
+                    segments.push(encodeURIComponent(value));
+                }
+            } else if (segment.type === 'composite') {
+                segments.push(segment.parts
+                    .map(part => typeof part === 'string' ? part : encodeURIComponent(fill(part.name)!))
+                    .join(''));
+            } else {
+                segments.push(fill(segment.name)!.split('/').map(encodeURIComponent).join('/'));
+            }
+        }
+
+        const unknown = Object.keys(params).filter(param => !used.has(param));
+        if (unknown.length) {
+            throw new Error(`Unknown parameters "${unknown.join('", "')}" for route [${name}]`);
+        }
+
+        let url = `/${segments.join('/')}`;
+
+        if (options.query) {
+            const search = new URLSearchParams();
+            for (const [key, value] of Object.entries(options.query)) {
+                for (const item of Array.isArray(value) ? value : [value]) {
+                    search.append(key, String(item));
+                }
+            }
+
+            const queryString = search.toString();
+            if (queryString) {
+                url += `?${queryString}`;
+            }
+        }
+
+        return url;
+    }
+
+    /**
+     * Lists the registered routes, including those of mounted routers, sorted
+     * by URI. The `middleware` count includes group middleware but not the
+     * global middleware of the router.
+     *
+     * @returns A descriptor for each registered route.
+     */
+    routes(): RouteDescriptor[] {
+        const descriptors: RouteDescriptor[] = this.collectRoutes().map(({ route, mount }) => ({
+            methods: [...route.methods],
+            uri: mount + route.uri || '/',
+            name: route.routeName,
+            params: [...route.paramNames],
+            wheres: { ...route.wheres },
+            middleware: route.middlewares.length,
+            group: route.group,
+            host: route.host,
+            mount: mount || undefined,
+            meta: route.metadata,
+        }));
+
+        return descriptors.sort((a, b) => a.uri.localeCompare(b.uri)
+            || (a.host ?? '').localeCompare(b.host ?? '')
+            || a.methods.join().localeCompare(b.methods.join()));
+    }
+
+    /**
+     * Generates an OpenAPI 3 document from the registered routes, including
+     * those of mounted routers. Path parameters are described from the route
+     * conditions and operations from the metadata set with `Route.meta()`.
+     *
+     * @param info - The `info` object of the document; `title` and `version` are required.
+     * @param document - Additional top-level fields, such as `servers` or `components`.
+     * @returns The OpenAPI document.
+     * @throws If `info.title` or `info.version` is missing.
+     */
+    toOpenAPI(info: OpenAPIInfo, document: Record<string, unknown> = {}): OpenAPIDocument {
+        return buildOpenAPIDocument(this.collectRoutes(), info, document);
+    }
+
+    /**
+     * Renders the registered routes as a table, or as a tree of URI segments.
+     *
+     * @param options - `format` selects the `'table'` (default) or `'tree'` view.
+     * @returns The rendered routes.
+     */
+    printRoutes(options: { format?: 'table' | 'tree' } = {}): string {
+        const routes = this.routes();
+
+        return options.format === 'tree' ? formatRoutesTree(routes) : formatRoutesTable(routes);
+    }
+
+    /**
+     * Collects the routes of this router and of the mounted routers, with the
+     * mount prefix of each route.
+     *
+     * @param mount - The mount prefix of this router.
+     * @returns The routes with their mount prefix.
+     * @private
+     */
+    private collectRoutes(mount = ''): { route: Route; mount: string }[] {
+        return [
+            ...this.tree.routes.map(route => ({ route, mount })),
+            ...this.hosts.flatMap(entry => entry.tree.routes.map(route => ({ route, mount }))),
+            ...this.mounts.flatMap(({ prefix, router }) => router.collectRoutes(mount + prefix)),
+        ];
+    }
+
     /**
      * Creates and registers a new route with the specified HTTP methods, URI, and action.
      *
@@ -214,45 +914,988 @@ class Router {
      * @private
      */
     private createRoute(methods: string | string[], uri: string, action: Handler): Route {
-        const methodsArray = Array.isArray(methods) ? methods : [methods];
-        const uriWithPrefix = this.groupStack.length ? `${this.groupStack.join('/')}${uri}` : uri; // Apply prefix if in a group
-        const route = new Route(methodsArray, uriWithPrefix, action);
-
-        this.tree.addRoute(route, methodsArray);
+        if (this.matcher) {
+            throw new Error('Routes cannot be registered after the router has been compiled');
+        }
 
-        return route;
-    }
+        const methodsArray = Array.isArray(methods) ? methods : [methods];
+        const prefixes = this.groupStack.map(group => group.prefix ?? '');
+        const path = uri === '/' && prefixes.length ? '' : uri; // The root of a group is the group prefix itself
+        const route = new Route(methodsArray, [...prefixes, path].filter(Boolean).join('/'), action); // Route collapses the extra slashes
 
-    async onRequest(req: IncomingMessage & { params: Params }, res: ServerResponse) {
-        try {
-            if (!req.url || !req.method) {
-                await this.notFoundHandler(req, res);
-                return;
+        for (const param of route.paramNames) {
+            if (this.patterns[param] && !(param in route.wheres)) {
+                route.where(param, this.patterns[param]);
             }
+        }
 
-            const urlWithoutQueryParams = req.url.split('?')[0];
-            const matchedRoute = this.tree.findRoute(req.method, urlWithoutQueryParams);
+        if (this.groupStack.length) {
+            route.group = `/${prefixes.join('/')}`.replace(/\/+/g, '/').replace(/\/$/, '') || '/';
+        }
 
-            if (!matchedRoute) {
-                await this.notFoundHandler(req, res);
-                return;
+        const host = this.groupStack.map(group => group.host).filter(Boolean).pop();
+        if (host) {
+            route.host = parseHost(host).pattern;
+        }
+
+        for (const group of [...this.groupStack].reverse()) {
+            if (group.onError) {
+                route.errorHandlers.push(group.onError);
             }
+        }
 
-            req.params = matchedRoute.params;
+        const cors = this.groupStack.map(group => group.cors).filter(item => item !== undefined).pop();
+        if (cors !== undefined) {
+            route.cors(cors);
+        }
 
-            for await (const middleware of this.middlewares) {
-                middleware(req, res);
-            }
+        for (const group of this.groupStack) {
+            route.middleware(...[group.middleware ?? []].flat());
 
-            for await (const routeMiddleware of matchedRoute.route.middlewares) {
-                routeMiddleware(req, res);
+            if (group.where) {
+                route.where(group.where);
             }
 
-            await matchedRoute.route.action(req, res);
-        } catch (err) {
-            await this.errorHandler(err as Error, req, res);
+            if (group.name) {
+                route.namePrefix += group.name;
+            }
         }
+
+        (host ? this.hostRoutes(host).tree : this.tree).addRoute(route, methodsArray);
+        route.router = this;
+
+        return route;
     }
+
+    /**
+     * Returns the tree a route is registered in, from its host.
+     *
+     * @param route - The route.
+     * @returns The routes tree, or undefined if the route's host has no tree.
+     * @private
+     */
+    private treeOf(route: Route): RoutesTree | undefined {
+        return route.host ? this.hosts.find(entry => entry.host.pattern === route.host)?.tree : this.tree;
+    }
+
+    /**
+     * Finds the route registered for a method and a URI, resolved against the
+     * enclosing groups as in `createRoute()`.
+     *
+     * @param method - The HTTP method.
+     * @param uri - The URI pattern the route was registered with.
+     * @returns The route, its tree and the methods to remove, or null if no
+     * route is registered.
+     * @private
+     */
+    private findRegistered(method: string, uri: string): { route: Route; tree: RoutesTree; methods: string[] } | null {
+        if (typeof method !== 'string' || typeof uri !== 'string') {
+            throw new TypeError('The method and the URI should be strings');
+        }
+
+        const upperMethod = method.toUpperCase();
+        const prefixes = this.groupStack.map(group => group.prefix ?? '');
+        const path = uri === '/' && prefixes.length ? '' : uri;
+        const normalized = `/${[...prefixes, path].join('/')}`.replace(/\/+/g, '/').replace(/\/$/, '');
+        const host = this.groupStack.map(group => group.host).filter(Boolean).pop();
+        const tree = host ? this.hosts.find(entry => entry.host.pattern === parseHost(host).pattern)?.tree : this.tree;
+        const route = tree?.routes.find(item => item.uri === normalized && item.methods.includes(upperMethod));
+
+        if (!tree || !route) {
+            return null;
+        }
+
+        return { route, tree, methods: [upperMethod] };
+    }
+
+    /**
+     * Registers the routes of a resource for `resource()` and `apiResource()`.
+     *
+     * @param name - The name of the resource.
+     * @param controller - The controller object or class.
+     * @param options - The resource options.
+     * @param api - Whether to leave out the `create` and `edit` routes.
+     * @returns The created routes, keyed by action.
+     * @private
+     */
+    private registerResource(name: string, controller: Controller, options: ResourceOptions, api: boolean): Partial<Record<ResourceAction, Route>> {
+        if (typeof name !== 'string' || !/^[\w-]+(\.[\w-]+)*$/.test(name)) {
+            throw new TypeError('The resource name should be one or more segments separated by dots');
+        }
+
+        const instance = typeof controller === 'function' ? new (controller as new () => object)() : controller;
+        if (!instance || typeof instance !== 'object') {
+            throw new TypeError('The controller should be an object or a class');
+        }
+
+        const parents = name.split('.');
+        const resource = parents.pop()!;
+        const param = options.param ?? resourceParam(resource);
+        const prefix = parents.map(parent => `${parent}/:${resourceParam(parent)}`).join('/');
+        const selected = selectResourceRoutes(api, options);
+        const routes: Partial<Record<ResourceAction, Route>> = {};
+
+        for (const { action } of selected) {
+            if (typeof (instance as Record<string, unknown>)[action] !== 'function') {
+                throw new Error(`The controller of resource [${name}] has no ${action}() method`);
+            }
+        }
+
+        for (const { action, methods, path } of selected) {
+            const method = (instance as Record<string, Handler>)[action];
+            const uri = `${prefix}/${resource}${path.replace(':param', `:${param}`)}`;
+
+            routes[action] = this.createRoute(methods, uri, method.bind(instance)).name(`${name}.${action}`);
+        }
+
+        return routes;
+    }
+
+    /**
+     * Returns the routes registered for a host pattern, creating their tree on
+     * first use. Static hosts are kept before hosts with parameters, so that
+     * `api.example.com` wins over `:tenant.example.com`.
+     *
+     * @param pattern - The host pattern.
+     * @returns The routes of the host.
+     * @private
+     */
+    private hostRoutes(pattern: string): HostRoutes {
+        const host = parseHost(pattern);
+        let entry = this.hosts.find(item => item.host.pattern === host.pattern);
+
+        if (!entry) {
+            entry = { host, tree: new RoutesTree({ caseSensitive: this.tree.caseSensitive, encodedSlashes: this.encodedSlashes }) };
+            this.hosts.push(entry);
+            this.hosts.sort((a, b) => Number(a.host.paramNames.length > 0) - Number(b.host.paramNames.length > 0));
+        }
+
+        return entry;
+    }
+
+    /**
+     * Returns the matchers to try for a request, in order: those of the host
+     * groups matching the `Host` header, then the routes without a host. Each
+     * comes with the parameters captured from the host.
+     *
+     * @param req - The incoming HTTP request.
+     * @returns The matchers and their host parameters.
+     * @private
+     */
+    private matchersFor(req: Request): { matcher: RoutesTree | CompiledTree; hostParams: Params }[] {
+        const matchers: { matcher: RoutesTree | CompiledTree; hostParams: Params }[] = [];
+
+        if (this.hosts.length) {
+            const hostname = getHostname(req);
+
+            for (const entry of this.hosts) {
+                const hostParams = matchHost(entry.host, hostname);
+                if (hostParams) {
+                    matchers.push({ matcher: entry.matcher ?? entry.tree, hostParams });
+                }
+            }
+        }
+
+        matchers.push({ matcher: this.matcher ?? this.tree, hostParams: {} });
+
+        return matchers;
+    }
+
+    /**
+     * Finds the route for a request in the given matchers. A `HEAD` request
+     * falls back to the `GET` route; when both a `HEAD` and a `GET` route
+     * match, the `HEAD` route wins unless the `GET` route matches the path
+     * more specifically, or always with `headPriority: 'head'`.
+     *
+     * @param matchers - The matchers returned by `matchersFor()`.
+     * @param method - The HTTP method to match.
+     * @param path - The path to match.
+     * @param ignoreTypes - Whether to skip the parameter type conditions.
+     * @returns The matching route and its parameters, or null if no route matches.
+     * @private
+     */
+    private findRoute(matchers: { matcher: RoutesTree | CompiledTree; hostParams: Params }[], method: string, path: string, ignoreTypes = false): RouteMatch | null {
+        if (method !== 'HEAD') {
+            return this.findMethodRoute(matchers, method, path, ignoreTypes);
+        }
+
+        const head = this.findMethodRoute(matchers, 'HEAD', path, ignoreTypes);
+        const get = this.findMethodRoute(matchers, 'GET', path, ignoreTypes);
+
+        if (head && (!get || this.headPriority === 'head' || !this.isMoreSpecific(get, head))) {
+            return head;
+        }
+
+        return get;
+    }
+
+    /**
+     * Checks whether a route match is more specific than another for the same
+     * path: the first segment where their ranks differ decides, as in the
+     * routes tree, and a host route is more specific than a route for any host.
+     *
+     * @param match - The match to check.
+     * @param other - The match to compare it with.
+     * @returns `true` if `match` is more specific than `other`.
+     * @private
+     */
+    private isMoreSpecific(match: RouteMatch, other: RouteMatch): boolean {
+        if (!match.route.host !== !other.route.host) {
+            return !!match.route.host;
+        }
+
+        const ranks = match.route.specificity(match.params);
+        const otherRanks = other.route.specificity(other.params);
+        const index = ranks.findIndex((rank, i) => rank !== otherRanks[i]);
+
+        return index !== -1 && otherRanks[index] !== undefined && ranks[index] < otherRanks[index];
+    }
+
+    /**
+     * Finds the route registered for a method in the given matchers, merging
+     * the host parameters into the parameters of the path.
+     *
+     * @param matchers - The matchers returned by `matchersFor()`.
+     * @param method - The HTTP method to match.
+     * @param path - The path to match.
+     * @param ignoreTypes - Whether to skip the parameter type conditions.
+     * @returns The first match, or null if no route matches.
+     * @private
+     */
+    private findMethodRoute(matchers: { matcher: RoutesTree | CompiledTree; hostParams: Params }[], method: string, path: string, ignoreTypes = false): RouteMatch | null {
+        for (const { matcher, hostParams } of matchers) {
+            const match = matcher.findRoute(method, path, ignoreTypes);
+            if (match) {
+                return { route: match.route, params: { ...hostParams, ...match.params } };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Collects the methods registered for a path in the given matchers, with
+     * `HEAD` after `GET` since `GET` routes answer `HEAD` requests.
+     *
+     * @param matchers - The matchers returned by `matchersFor()`.
+     * @param path - The path to match.
+     * @returns The allowed methods.
+     * @private
+     */
+    private allowedMethods(matchers: { matcher: RoutesTree | CompiledTree; hostParams: Params }[], path: string): string[] {
+        const allowed = [...new Set(matchers.flatMap(({ matcher }) => matcher.allowedMethods(path)))];
+
+        if (allowed.includes('GET') && !allowed.includes('HEAD')) {
+            allowed.splice(allowed.indexOf('GET') + 1, 0, 'HEAD');
+        }
+
+        return allowed;
+    }
+
+    /**
+     * Answers a CORS preflight request when the route registered for the
+     * requested method has CORS enabled and allows the origin. The allowed
+     * methods are those whose route allows the origin too. A preflight that
+     * matches an explicit `OPTIONS` route is left to that route.
+     *
+     * @param req - The incoming HTTP request.
+     * @param res - The outgoing HTTP response.
+     * @param matchers - The matchers returned by `matchersFor()`.
+     * @param path - The path to match.
+     * @returns A Promise that resolves with whether the request was answered.
+     * @private
+     */
+    private async preflight(req: Request, res: ServerResponse, matchers: { matcher: RoutesTree | CompiledTree; hostParams: Params }[], path: string): Promise<boolean> {
+        if (this.findMethodRoute(matchers, 'OPTIONS', path)) {
+            return false;
+        }
+
+        varyPreflight(res);
+
+        const requested = String(req.headers['access-control-request-method']).toUpperCase();
+        const options = this.corsOptionsFor(matchers, requested, path);
+        const origin = options ? await allowedOrigin(options, req) : null;
+
+        if (!options || !origin) {
+            return false;
+        }
+
+        const methods: string[] = [];
+        for (const method of this.allowedMethods(matchers, path)) {
+            const methodOptions = this.corsOptionsFor(matchers, method, path);
+
+            if (methodOptions && await allowedOrigin(methodOptions, req)) {
+                methods.push(method);
+            }
+        }
+
+        sendPreflight(req, res, options, origin, methods);
+
+        return true;
+    }
+
+    /**
+     * Returns the CORS options of the route that answers a method on a path.
+     *
+     * @param matchers - The matchers returned by `matchersFor()`.
+     * @param method - The HTTP method.
+     * @param path - The path to match.
+     * @returns The options of the route or the router, or false if no route
+     * matches or CORS is disabled.
+     * @private
+     */
+    private corsOptionsFor(matchers: { matcher: RoutesTree | CompiledTree; hostParams: Params }[], method: string, path: string): CorsOptions | false {
+        const match = this.findRoute(matchers, method, path);
+
+        return match ? match.route.corsOptions ?? this.corsOptions : false;
+    }
+
+    /**
+     * Sets the CORS headers of the response when CORS is enabled and the
+     * origin of the request is allowed.
+     *
+     * @param req - The incoming HTTP request.
+     * @param res - The outgoing HTTP response.
+     * @param options - The CORS options of the route or the router.
+     * @private
+     */
+    private async applyCors(req: Request, res: ServerResponse, options: CorsOptions | false): Promise<void> {
+        const origin = options && req.headers.origin ? await allowedOrigin(options, req) : null;
+
+        if (options && origin) {
+            setCorsHeaders(res, options, origin);
+        }
+    }
+
+    /**
+     * Returns the given handler after checking that it is a function, or the
+     * fallback when no handler is given.
+     *
+     * @param handler - The handler passed to the constructor.
+     * @param fallback - The default handler.
+     * @param name - The name of the option, used in the error message.
+     * @returns The handler to use.
+     * @throws If the handler is not a function.
+     * @private
+     */
+    private resolveHandler<T>(handler: T | undefined, fallback: T, name: string): T {
+        if (!handler) {
+            return fallback;
+        }
+
+        if (typeof handler !== 'function') {
+            throw new Error(`${name} should be a function`);
+        }
+
+        return handler;
+    }
+
+    /**
+     * Wraps the action of a route with the validation of the schemas declared
+     * with `Route.schema()`. Coerced params and query replace `req.params` and
+     * `req.query`; invalid requests are passed to the validation handler. When
+     * the body parser is enabled, a body schema reads the body first.
+     *
+     * @param route - The route with schemas.
+     * @returns The action to run after the middleware.
+     * @private
+     */
+    private validateRequest(route: Route): Handler {
+        return async (req, res) => {
+            const { params, query, headers, body, response } = route.schemas;
+            const issues: ValidationIssue[] = [];
+
+            if (params) {
+                const result = validateSchema(params, req.params, 'params', true);
+                issues.push(...result.issues);
+                req.params = result.value as RequestParams;
+            }
+
+            if (query) {
+                const result = validateSchema(query, req.query ?? {}, 'query', true);
+                issues.push(...result.issues);
+                req.query = result.value as Record<string, unknown>;
+            }
+
+            if (headers) {
+                issues.push(...validateSchema(headers, req.headers, 'headers', true).issues);
+            }
+
+            if (body) {
+                if (req.body === undefined && req.parseBody) {
+                    await req.parseBody();
+                }
+                issues.push(...validateSchema(body, req.body, 'body').issues);
+            }
+
+            if (issues.length) {
+                await this.validationHandler(req, res, issues);
+                return;
+            }
+
+            if (response) {
+                this.validateResponse(route, req, res);
+            }
+
+            return route.action(req, res);
+        };
+    }
+
+    /**
+     * Buffers JSON responses that have a schema for their status code and
+     * validates them when the response ends. A response that does not match
+     * is discarded and a `ResponseValidationError` is passed to the error
+     * handler instead. Other responses are written through unchanged.
+     *
+     * @param route - The route with response schemas.
+     * @param req - The incoming HTTP request.
+     * @param res - The outgoing HTTP response.
+     * @private
+     */
+    private validateResponse(route: Route, req: Request, res: ServerResponse): void {
+        const schemas = route.schemas.response!;
+        const { write, end } = res;
+        const chunks: Buffer[] = [];
+        let schema: JSONSchema | null | undefined;
+
+        const restore = () => {
+            res.write = write;
+            res.end = end;
+        };
+
+        const schemaFor = () => {
+            if (schema === undefined) {
+                const isJson = /json/i.test(String(res.getHeader('Content-Type') ?? ''));
+                schema = isJson ? schemas[res.statusCode] ?? schemas.default ?? null : null;
+            }
+            return schema;
+        };
+
+        const collect = (chunk: unknown, encoding: unknown) => {
+            if (chunk !== undefined && chunk !== null && typeof chunk !== 'function') {
+                chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk as string, typeof encoding === 'string' ? encoding as BufferEncoding : 'utf8'));
+            }
+        };
+
+        res.write = ((chunk: unknown, ...args: unknown[]) => {
+            if (!schemaFor()) {
+                restore();
+                return (res.write as (...args: unknown[]) => boolean)(chunk, ...args);
+            }
+
+            collect(chunk, args[0]);
+            (args.find(arg => typeof arg === 'function') as (() => void) | undefined)?.();
+
+            return true;
+        }) as typeof res.write;
+
+        res.end = ((chunk?: unknown, ...args: unknown[]) => {
+            const currentSchema = schemaFor();
+            restore();
+
+            if (!currentSchema) {
+                return (res.end as (...args: unknown[]) => ServerResponse)(chunk, ...args);
+            }
+
+            collect(chunk, args[0]);
+            const callback = [chunk, ...args].find(arg => typeof arg === 'function');
+            const payload = Buffer.concat(chunks);
+
+            let issues: ValidationIssue[];
+            try {
+                issues = validateSchema(currentSchema, JSON.parse(payload.toString()), 'response').issues;
+            } catch {
+                issues = [{ path: 'response', message: 'must be valid JSON' }];
+            }
+
+            if (issues.length) {
+                res.removeHeader('Content-Length');
+                this.handleError(new ResponseValidationError(issues), req, res, route.errorHandlers).catch(console.error);
+                return res;
+            }
+
+            return callback ? res.end(payload, callback as () => void) : res.end(payload);
+        }) as typeof res.end;
+    }
+
+    /**
+     * Exposes the parsed query string as `req.query` and, when the body parser
+     * is enabled, adds `req.parseBody()`, which reads and parses the body on
+     * its first call and stores the result in `req.body`. Values already set,
+     * e.g. by a parent router or another framework, are kept. When enabled,
+     * the response helpers are added to `res`.
+     *
+     * @param req - The incoming HTTP request.
+     * @param res - The outgoing HTTP response.
+     * @private
+     */
+    private prepareRequest(req: Request, res: ServerResponse): void {
+        if (this.responseHelpers) {
+            decorateResponse(res);
+        }
+
+        if (req.method === 'HEAD') {
+            suppressBody(res);
+        }
+
+        if (req.query === undefined) {
+            const search = req.url!.includes('?') ? req.url!.slice(req.url!.indexOf('?') + 1) : '';
+            req.query = parseQuery(search, this.queryOptions);
+        }
+
+        const options = this.bodyOptions;
+        if (options && !req.parseBody) {
+            let parsing: Promise<unknown> | undefined;
+            req.parseBody = () => parsing ??= readBody(req, options).then(body => (req.body = body));
+        }
+    }
+
+    /**
+     * Sends the value returned by a route action with `send()`, unless it is
+     * undefined, the action has already ended the response, or the value is
+     * the response or another writable stream, as returned by
+     * `stream.pipe(res)` or `res.writeHead()`.
+     *
+     * @param res - The outgoing HTTP response.
+     * @param result - The value returned by the action.
+     * @private
+     */
+    private async sendResult(res: ServerResponse, result: unknown): Promise<void> {
+        if (result === undefined || result === res || isWritable(result) || res.writableEnded) {
+            return;
+        }
+
+        await send(res, result);
+    }
+
+    /**
+     * Answers an `OPTIONS` request for a path that has no explicit `OPTIONS` route.
+     *
+     * @param res - The outgoing HTTP response.
+     * @param allowed - The HTTP methods registered for the requested path.
+     * @private
+     */
+    private respondToOptions(res: ServerResponse, allowed: string[]): void {
+        res.statusCode = 204;
+        res.setHeader('Allow', allowed.join(', '));
+        res.end();
+    }
+
+    /**
+     * Redirects a request to the same URL with or without a trailing slash,
+     * as declared by the matched route. Leading slashes are collapsed. `GET`
+     * and `HEAD` requests are answered with 301, other methods with 308 so
+     * that the method and body are kept.
+     *
+     * @param req - The incoming HTTP request.
+     * @param res - The outgoing HTTP response.
+     * @param trailingSlash - Whether the route declares a trailing slash.
+     * @private
+     */
+    private redirectTrailingSlash(req: Request, res: ServerResponse, trailingSlash: boolean): void {
+        const url = req.url!;
+        const index = url.includes('?') ? url.indexOf('?') : url.length;
+        const path = `/${url.slice(0, index).replace(/^\/+|\/+$/g, '')}`; // A leading "//" would redirect to another host
+
+        res.statusCode = req.method === 'GET' || req.method === 'HEAD' ? 301 : 308;
+        res.setHeader('Location', (trailingSlash ? `${path}/` : path) + url.slice(index));
+        res.end();
+    }
+
+    /**
+     * Returns the groups with a `notFound` or `onError` handler whose prefix
+     * and host match the request, from the longest prefix to the shortest and
+     * from the innermost group to the outermost.
+     *
+     * @param req - The incoming HTTP request.
+     * @param path - The path of the request.
+     * @returns The matching group scopes.
+     * @private
+     */
+    private scopesFor(req: Request, path: string): GroupScope[] {
+        if (!this.scopes.length) {
+            return [];
+        }
+
+        const hostname = getHostname(req);
+        const key = this.tree.staticKey(path);
+
+        return this.scopes
+            .filter(({ prefix, host }) => {
+                const scopePrefix = this.tree.staticKey(prefix);
+                const inPrefix = scopePrefix === '/' || key === scopePrefix || key.startsWith(`${scopePrefix}/`);
+
+                return inPrefix && (!host || matchHost(host, hostname));
+            })
+            .reverse()
+            .sort((a, b) => b.prefix.length - a.prefix.length);
+    }
+
+    /**
+     * Answers a request that matches no route with the `notFound` handler of
+     * the closest group, or the not-found handler of the router.
+     *
+     * @param req - The incoming HTTP request.
+     * @param res - The outgoing HTTP response.
+     * @param scopes - The group scopes matching the request.
+     * @private
+     */
+    private async notFound(req: Request, res: ServerResponse, scopes: GroupScope[]): Promise<void> {
+        const handler = scopes.find(scope => scope.notFound)?.notFound ?? this.notFoundHandler;
+
+        await this.trigger('onNotFound', req);
+        await handler(req, res);
+    }
+
+    /**
+     * Starts observing a request when the router has hooks or event listeners:
+     * creates its hook context and runs the `onResponse` hooks once the
+     * response has ended. A request already observed by another router, such
+     * as the router a mounted router was delegated the request by, is shared
+     * with it: the hooks of both routers run.
+     *
+     * @param req - The incoming HTTP request.
+     * @param res - The outgoing HTTP response.
+     * @returns Whether the router started observing the request.
+     * @private
+     */
+    private track(req: Request, res: ServerResponse): boolean {
+        const observed = Object.values(this.hooks).some(hooks => hooks.length)
+            || Object.values(HOOK_EVENTS).some(event => this.events.listenerCount(event));
+        const tracked = contexts.get(req);
+
+        if (!observed || tracked?.routers.includes(this)) {
+            return false;
+        }
+
+        if (tracked) {
+            tracked.routers.push(this);
+            return true;
+        }
+
+        const context: HookContext = { req, res, method: req.method ?? '', url: req.url ?? '', startTime: performance.now() };
+        let ended = false;
+        const end = () => {
+            if (ended) {
+                return;
+            }
+
+            ended = true;
+            context.statusCode = res.statusCode;
+            context.duration = performance.now() - context.startTime;
+            void this.trigger('onResponse', req);
+        };
+
+        contexts.set(req, { context, routers: [this] });
+        res.once('finish', end);
+        res.once('close', end);
+
+        return true;
+    }
+
+    /**
+     * Updates the hook context of a request and runs the hooks of the routers
+     * observing it, outermost first. Does nothing for requests that are not
+     * observed.
+     *
+     * @param name - The name of the hook.
+     * @param req - The incoming HTTP request.
+     * @param update - The fields to set on the hook context.
+     * @private
+     */
+    private async trigger(name: HookName, req: IncomingMessage, update: Partial<HookContext> = {}): Promise<void> {
+        const tracked = contexts.get(req);
+
+        if (tracked) {
+            Object.assign(tracked.context, update);
+            for (const router of tracked.routers) {
+                await router.runHooks(name, tracked.context);
+            }
+        }
+    }
+
+    /**
+     * Runs the hooks registered under a name, then emits the matching event.
+     * Errors are logged, so that observing a request never changes its response.
+     *
+     * @param name - The name of the hook.
+     * @param context - The hook context of the request.
+     * @private
+     */
+    private async runHooks(name: HookName, context: HookContext): Promise<void> {
+        try {
+            for (const hook of this.hooks[name]) {
+                await hook(context);
+            }
+
+            if (this.events.listenerCount(HOOK_EVENTS[name])) {
+                this.events.emit(HOOK_EVENTS[name], context);
+            }
+        } catch (err) {
+            console.error(err);
+        }
+    }
+
+    /**
+     * Passes an error to the given error handlers in turn, then to the error
+     * handler of the router. A handler that throws passes the thrown error on
+     * to the next one. When the last handler throws as well, the request is
+     * answered with a plain 500 response, or closed if the response has
+     * already started.
+     *
+     * @param err - The error to handle.
+     * @param req - The incoming HTTP request.
+     * @param res - The outgoing HTTP response.
+     * @param handlers - The route and group error handlers, in order.
+     * @private
+     */
+    private async handleError(err: Error, req: Request, res: ServerResponse, handlers: ErrorHandler[]): Promise<void> {
+        let error = err;
+
+        await this.trigger('onError', req, { error: err });
+
+        for (const handler of [...handlers, this.errorHandler]) {
+            try {
+                await handler(error, req, res);
+                return;
+            } catch (thrown) {
+                error = thrown as Error;
+            }
+        }
+
+        console.error(error);
+
+        if (res.headersSent) {
+            res.destroy();
+            return;
+        }
+
+        res.statusCode = 500;
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        res.end('Internal Server Error');
+    }
+
+    /**
+     * Handles an incoming request: matches it against the registered routes and
+     * runs the global middleware, the route middleware and the route action as a
+     * single composed pipeline. Any rejection is passed to the error handler.
+     *
+     * When the path only matches under other methods, the request is answered
+     * with 405 and an `Allow` header, or with 204 for an `OPTIONS` request that
+     * has no explicit route. CORS preflight requests are answered before
+     * that, with the methods whose route allows the origin, when the route of
+     * the requested method has CORS enabled and no `OPTIONS` route matches.
+     *
+     * The path is percent-decoded before matching; malformed escapes and `.`
+     * or `..` segments are answered with 400 through the error handler.
+     *
+     * @param req - The incoming HTTP request.
+     * @param res - The outgoing HTTP response.
+     */
+    async onRequest(req: Request, res: ServerResponse) {
+        this.track(req, res);
+        await this.trigger('onRequest', req);
+
+        if (!req.url || !req.method) {
+            try {
+                await this.trigger('onNotFound', req);
+                await this.notFoundHandler(req, res);
+            } catch (err) {
+                await this.handleError(err as Error, req, res, []);
+            }
+            return;
+        }
+
+        let path: string;
+        try {
+            path = decodePath(req.url.split('?')[0], this.encodedSlashes);
+        } catch (err) {
+            await this.handleError(err as Error, req, res, []);
+            return;
+        }
+
+        await this.handle(req, res, path, '');
+    }
+
+    /**
+     * Handles a Fetch API request, for runtimes such as Deno, Bun or edge
+     * workers: the request goes through the same matching, middleware and
+     * error handling as `onRequest()`, and the response is buffered until it
+     * ends. Route actions can write to `res` as usual or return a `Response`,
+     * a string or a value to serialize as JSON.
+     *
+     * @param request - The Fetch API request.
+     * @returns A Promise that resolves with the Fetch API response.
+     * @throws If the response is left open, without writes, for 5 seconds
+     * after the middleware and the action have returned.
+     */
+    async fetch(request: globalThis.Request): Promise<globalThis.Response> {
+        const req = toNodeRequest(request);
+        const res = new BufferedResponse();
+
+        await this.onRequest(req, res as unknown as ServerResponse);
+
+        return toFetchResponse(res, req.method!);
+    }
+
+    /**
+     * Runs a request through `onRequest()` without a server, for tests. The
+     * response is buffered until it ends, including streamed responses.
+     *
+     * @param options - The `method` (default `GET`), `url` (default `/`),
+     * `headers` and `body` of the request. A string or `Buffer` body is sent
+     * as is, a stream or async iterable is streamed, and any other value is
+     * sent as JSON. `timeout` (default 5000) is the time in milliseconds the
+     * response may stay open without writes once the request is handled.
+     * @returns A Promise that resolves with the `statusCode`, `headers` and
+     * `body` of the response, and a `json()` method that parses the body.
+     * @throws If the URL is not a path, or the response is left open for
+     * longer than `timeout`.
+     */
+    async inject(options: InjectOptions = {}): Promise<InjectResponse> {
+        const req = createInjectRequest(options);
+        const res = new BufferedResponse();
+
+        await this.onRequest(req, res as unknown as ServerResponse);
+
+        return toInjectResponse(res, req.method!, options.timeout);
+    }
+
+    /**
+     * Dispatches a request for the given path, either to a mounted router or
+     * to the routes registered on this router.
+     *
+     * @param req - The incoming HTTP request.
+     * @param res - The outgoing HTTP response.
+     * @param path - The path to match, relative to the mount prefix.
+     * @param mountPath - The prefix this router is mounted under.
+     * @private
+     */
+    private async handle(req: Request, res: ServerResponse, path: string, mountPath: string) {
+        let errorHandlers: ErrorHandler[] = [];
+
+        try {
+            req.pathname = path;
+            req.mountPath = mountPath;
+            this.prepareRequest(req, res);
+
+            const mount = this.mounts.find(({ prefix }) => path === prefix || path.startsWith(`${prefix}/`));
+            if (mount) {
+                const delegate = async () => {
+                    if (mount.router.track(req, res)) {
+                        await mount.router.runHooks('onRequest', contexts.get(req)!.context);
+                    }
+                    await mount.router.handle(req, res, path.slice(mount.prefix.length) || '/', mountPath + mount.prefix);
+                };
+                const pipeline = compose([...this.middlewares, ...mount.middlewares], delegate);
+
+                await pipeline(req, res);
+                return;
+            }
+
+            const method = req.method as string;
+            const matchers = this.matchersFor(req);
+
+            const isPreflight = method === 'OPTIONS' && !!req.headers.origin && !!req.headers['access-control-request-method'];
+
+            if (isPreflight && await this.preflight(req, res, matchers, path)) {
+                return;
+            }
+
+            const matchedRoute = this.findRoute(matchers, method, path);
+
+            if (!matchedRoute && !isPreflight) {
+                await this.applyCors(req, res, this.corsOptions); // Lets browsers read 404 and 405 responses
+            }
+
+            if (!matchedRoute && this.invalidParamStatus === 400) {
+                const intended = this.findRoute(matchers, method, path, true);
+                const issues = intended ? intended.route.castParams(intended.params).issues : [];
+
+                if (issues.length) {
+                    await this.validationHandler(req, res, issues);
+                    return;
+                }
+            }
+
+            if (!matchedRoute) {
+                const allowed = this.allowedMethods(matchers, path);
+
+                if (!allowed.length) {
+                    const scopes = this.scopesFor(req, path);
+                    errorHandlers = scopes.flatMap(scope => scope.onError ?? []);
+
+                    await this.notFound(req, res, scopes);
+                    return;
+                }
+
+                if (!allowed.includes('OPTIONS')) {
+                    allowed.push('OPTIONS');
+                }
+
+                if (method === 'OPTIONS') {
+                    this.respondToOptions(res, allowed);
+                    return;
+                }
+
+                await this.methodNotAllowedHandler(req, res, allowed);
+                return;
+            }
+
+            const { route } = matchedRoute;
+            errorHandlers = route.errorHandlers;
+            await this.applyCors(req, res, route.corsOptions ?? this.corsOptions);
+
+            if (this.trailingSlash !== 'ignore' && path !== '/' && path.endsWith('/') !== route.trailingSlash) {
+                if (this.trailingSlash === 'redirect') {
+                    this.redirectTrailingSlash(req, res, route.trailingSlash);
+                } else {
+                    await this.notFound(req, res, this.scopesFor(req, path));
+                }
+                return;
+            }
+
+            const { params, issues } = route.castParams(matchedRoute.params);
+
+            if (issues.length) {
+                if (this.invalidParamStatus === 400) {
+                    await this.validationHandler(req, res, issues);
+                } else {
+                    await this.notFound(req, res, this.scopesFor(req, path));
+                }
+                return;
+            }
+
+            req.params = params;
+            await this.trigger('onMatch', req, {
+                route: mountPath + (route.uri === '/' && mountPath ? '' : route.uri),
+                routeName: route.routeName,
+                host: route.host,
+                params,
+            });
+
+            const action = Object.keys(route.schemas).length ? this.validateRequest(route) : route.action;
+            const pipeline = compose([...this.middlewares, ...route.middlewares], async (req, res) => {
+                await this.sendResult(res, await action(req, res));
+            });
+
+            await pipeline(req, res);
+        } catch (err) {
+            await this.handleError(err as Error, req, res, errorHandlers);
+        }
+    }
+}
+
+export {
+    HttpError,
+    BadRequest,
+    Unauthorized,
+    Forbidden,
+    NotFound,
+    Conflict,
+    notFoundHandler,
+    methodNotAllowedHandler,
+    errorHandler
 }
 
 export default Router; 
\ No newline at end of file
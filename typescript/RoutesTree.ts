@@ -1,39 +1,190 @@
 import type Route from "./Route.js";
+import type { Segment } from "./Route.js";
 import type { Params } from "./Router.js";
+import { isParamType } from "./paramTypes.js";
+import { decodeParam } from "./path.js";
+import type { EncodedSlashes } from "./path.js";
+
+export interface RouteMatch {
+    route: Route;
+    params: Params;
+}
+
+export interface TreeOptions {
+    caseSensitive?: boolean;
+    encodedSlashes?: EncodedSlashes;
+}
 
 export interface RouteNode {
     children: Map<string, RouteNode>;
+    params: RouteNode[];
+    wildcards: RouteNode[];
+    routes: Route[];
+    segment?: Segment;
     route?: Route;
 }
 
+/**
+ * A tree of routes split by HTTP method at the root. Each node keeps its
+ * children in separate slots: static segments in a `Map` keyed by the segment,
+ * parameter and composite segments (`:id`, `:id(\d+)`, `:name.:ext`) and
+ * wildcards (`*`, `*path`) in lists, one node per distinct segment pattern.
+ *
+ * A URL part is matched against the children of a node in this priority
+ * order, backtracking to the next candidate whenever the rest of the URL does
+ * not match or the matched route rejects its parameters with `where()`:
+ *
+ * 1. the static child with the same text;
+ * 2. constrained parameters: composite segments, inline patterns and
+ *    parameters restricted by `where()` on a route below the node;
+ * 3. unconstrained parameters;
+ * 4. wildcards.
+ *
+ * Siblings with the same priority are tried in registration order. Static
+ * segments are compared case-insensitively when `caseSensitive` is false;
+ * parameters always keep the case of the URL.
+ */
 class RoutesTree {
-    root: RouteNode = { children: new Map() };
+    root: RouteNode = this.createNode();
+    routes: Route[] = [];
+    caseSensitive: boolean;
+    encodedSlashes: EncodedSlashes;
 
     /**
-     * Add a route to the tree.
+     * Constructs a new RoutesTree instance.
+     *
+     * @param options - The tree options; `caseSensitive` (default `true`)
+     * controls how static segments are compared, and `encodedSlashes`
+     * (default `'decode'`) whether the `%2F` and `%25` escapes left by
+     * `decodePath()` are decoded in parameter values.
+     */
+    constructor(options: TreeOptions = {}) {
+        this.caseSensitive = options.caseSensitive ?? true;
+        this.encodedSlashes = options.encodedSlashes ?? 'decode';
+    }
+
+    /**
+     * Add a route to the tree. A route with optional segments is added once
+     * for every path variant they allow.
      *
      * @param route - The route to add.
      * @param methods - The methods to add the route for.
-     * @throws if there is already a route registered for one of the methods.
+     * @throws if there is already a route registered for one of the methods,
+     * or one of the path variants collides with another route, including one
+     * that only differs by the names of its unconstrained parameters or
+     * wildcards (e.g., `/x/:a` and `/x/:b`).
      */
     addRoute(route: Route, methods: string[]): void {
+        const targets: RouteNode[] = [];
+        const passed: RouteNode[] = [];
+
         for (const method of methods) {
-            let node = this.findOrCreateMethodNode(method);
-            const parts = route.uri.split('/').filter(Boolean);
+            for (const variant of route.variants) {
+                const shadowing = this.findShadowingRoute(this.root.children.get(method), variant, route, []);
+                if (shadowing) {
+                    throw new Error(`Route ${method} ${route.uri} conflicts with ${shadowing.uri}`);
+                }
 
-            for (const part of parts) {
-                if (!node.children.has(part)) {
-                    node.children.set(part, { children: new Map() });
+                let node = this.findOrCreateMethodNode(method);
+                const path: RouteNode[] = [];
+
+                for (const segment of variant) {
+                    node = this.findOrCreateChild(node, segment);
+                    path.push(node);
                 }
-                node = node.children.get(part)!;
-            }
 
-            if (node.route) {
-                throw new Error(`Route already exists for ${method} ${route.uri}`);
+                if (node.route || targets.includes(node)) {
+                    const existing = node.route ?? route;
+                    throw new Error(existing.uri === route.uri
+                        ? `Route already exists for ${method} ${route.uri}`
+                        : `Route ${method} ${route.uri} conflicts with ${existing.uri}`);
+                }
+
+                targets.push(node);
+                passed.push(...path);
             }
+        }
 
+        for (const node of targets) {
             node.route = route;
         }
+
+        for (const node of new Set(passed)) {
+            node.routes.push(route);
+        }
+
+        if (!this.routes.includes(route)) {
+            this.routes.push(route);
+        }
+    }
+
+    /**
+     * Removes a route from the tree for the given methods, and prunes the
+     * nodes left without routes or children. The methods are removed from
+     * `route.methods`; the route stays in `routes` while it has other methods.
+     *
+     * @param route - The route to remove.
+     * @param methods - The methods to remove the route for.
+     * @returns Whether the route was registered for one of the methods.
+     */
+    removeRoute(route: Route, methods: string[] = route.methods): boolean {
+        let removed = false;
+
+        for (const method of methods) {
+            const methodNode = this.root.children.get(method);
+            if (!methodNode) {
+                continue;
+            }
+
+            for (const variant of route.variants) {
+                const path = [methodNode];
+
+                for (const segment of variant) {
+                    const child = this.findChild(path[path.length - 1], segment);
+                    if (!child) {
+                        break;
+                    }
+                    path.push(child);
+                }
+
+                if (path.length !== variant.length + 1) {
+                    continue;
+                }
+
+                const target = path[path.length - 1];
+                if (target.route === route) {
+                    target.route = undefined;
+                    removed = true;
+                }
+
+                for (const node of path) {
+                    node.routes = node.routes.filter(item => item !== route);
+                }
+
+                this.prune(path);
+            }
+
+            if (this.isEmpty(methodNode)) {
+                this.root.children.delete(method);
+            }
+        }
+
+        route.methods = route.methods.filter(method => !methods.includes(method));
+        if (!route.methods.length) {
+            this.routes = this.routes.filter(item => item !== route);
+        }
+
+        return removed;
+    }
+
+    /**
+     * Finds a route by the name assigned with `Route.name()`.
+     *
+     * @param name - The name of the route.
+     * @returns The matching route, or undefined if no route has that name.
+     */
+    findByName(name: string): Route | undefined {
+        return this.routes.find(route => route.routeName === name);
     }
 
     /**
@@ -41,9 +192,11 @@ class RoutesTree {
      *
      * @param method The HTTP method to match
      * @param url The URL to match
+     * @param ignoreTypes Whether to skip the parameter type conditions, to find
+     * the route a request with invalid typed parameters was meant for
      * @returns  An object with the matched route and the parsed URL parameters, or null if no route is found
      */
-    findRoute(method: string, url: string): { route: Route; params: Params } | null {
+    findRoute(method: string, url: string, ignoreTypes = false): { route: Route; params: Params } | null {
         const methodNode = this.root.children.get(method);
         if (!methodNode) {
             return null;
@@ -52,7 +205,25 @@ class RoutesTree {
         const parts = url.split('/').filter(Boolean);
         const params: Params = {};
 
-        return this.matchRoute(methodNode, parts, params);
+        return this.matchRoute(methodNode, parts, params, ignoreTypes);
+    }
+
+    /**
+     * Collects the HTTP methods that have a route matching the given URL.
+     *
+     * @param url The URL to match
+     * @returns The methods, in registration order, for which a route matches the URL
+     */
+    allowedMethods(url: string): string[] {
+        const methods: string[] = [];
+
+        for (const method of this.root.children.keys()) {
+            if (this.findRoute(method, url)) {
+                methods.push(method);
+            }
+        }
+
+        return methods;
     }
 
     /**
@@ -60,46 +231,50 @@ class RoutesTree {
      * If a route is found, returns an object with the route and the parsed params.
      * If no route is found, returns null.
      *
+     * Candidates are tried in the priority order documented on the class. Each
+     * branch works on its own copy of the params, so values captured by a branch
+     * that fails do not leak into the result.
+     *
      * @param node The current node in the routes tree
      * @param parts The remaining parts of the url to match
      * @param params The parsed params so far
+     * @param ignoreTypes Whether to skip the parameter type conditions
      * @returns An object with the route and the parsed params, or null if no route is found
      */
-    private matchRoute(node: RouteNode, parts: string[], params: Params): { route: Route; params: Params } | null {
+    private matchRoute(node: RouteNode, parts: string[], params: Params, ignoreTypes: boolean): { route: Route; params: Params } | null {
         if (parts.length === 0) {
-            return node.route ? { route: node.route, params } : null;
+            return node.route && this.validateWheres(node.route, params, ignoreTypes) ? { route: node.route, params } : null;
         }
 
         const [part, ...rest] = parts;
 
         // Match exact route part
-        if (node.children.has(part)) {
-            const exactMatch = this.matchRoute(node.children.get(part)!, rest, params);
+        const staticNode = node.children.get(this.staticKey(part));
+        if (staticNode) {
+            const exactMatch = this.matchRoute(staticNode, rest, params, ignoreTypes);
             if (exactMatch) {
                 return exactMatch;
             }
         }
 
-        // Match parameterized route (:param)
-        const paramNode = Array.from(node.children.entries()).find(([key]) => key.startsWith(':'));
-        if (paramNode) {
-            const [paramKey, paramValue] = paramNode;
-            params[paramKey.slice(1)] = part;
-            const paramMatch = this.matchRoute(paramValue, rest, params);
+        // Match parameterized route parts (:param, :param(pattern), :name.:ext)
+        for (const child of this.orderParamNodes(node.params)) {
+            const captured = this.matchSegment(child.segment!, part);
+            if (!captured) {
+                continue;
+            }
+
+            const paramMatch = this.matchRoute(child, rest, { ...params, ...captured }, ignoreTypes);
             if (paramMatch) {
-                if (this.validateWheres(paramMatch.route, params)) {
-                    return paramMatch;
-                }
-                return null;
+                return paramMatch;
             }
         }
 
-        // Match wildcard route (*)
-        const wildcardNode = node.children.get('*');
-        if (wildcardNode) {
-            const remainingParams = { ...params };
-            remainingParams['*'] = [part, ...rest].join('/');
-            const wildcardMatch = this.matchRoute(wildcardNode, [], remainingParams);
+        // Match wildcard route (*, *name)
+        for (const child of node.wildcards) {
+            const { name } = child.segment as Extract<Segment, { type: 'wildcard' }>;
+            const wildcardParams = { ...params, [name]: this.decode(parts.join('/')) };
+            const wildcardMatch = this.matchRoute(child, [], wildcardParams, ignoreTypes);
             if (wildcardMatch) {
                 return wildcardMatch;
             }
@@ -108,6 +283,89 @@ class RoutesTree {
         return null; // No match
     }
 
+    /**
+     * Orders parameter siblings so that constrained nodes are tried before
+     * unconstrained ones, keeping registration order otherwise.
+     *
+     * @param nodes The parameter children of a node
+     * @returns The nodes in matching order
+     */
+    orderParamNodes(nodes: RouteNode[]): RouteNode[] {
+        if (nodes.length < 2) {
+            return nodes;
+        }
+
+        const constrained = nodes.filter(node => this.isConstrained(node));
+        if (!constrained.length || constrained.length === nodes.length) {
+            return nodes;
+        }
+
+        return [...constrained, ...nodes.filter(node => !constrained.includes(node))];
+    }
+
+    /**
+     * Checks whether a parameter node restricts the values it accepts, either
+     * by its own pattern or by a `where()` condition of a route below it.
+     *
+     * @param node The parameter node
+     * @returns `true` if the node is constrained
+     */
+    private isConstrained(node: RouteNode): boolean {
+        const segment = node.segment!;
+
+        if (segment.type === 'composite' || (segment.type === 'param' && segment.pattern)) {
+            return true;
+        }
+
+        return segment.type === 'param' && node.routes.some(route => segment.name in route.wheres);
+    }
+
+    /**
+     * Matches a URL part against a parameter or composite segment. The part is
+     * decoded first, so inline patterns see the value that reaches the route.
+     *
+     * @param segment The segment of the route node
+     * @param part The URL part to match
+     * @returns The captured parameters, or null if the segment is not dynamic or does not match
+     */
+    matchSegment(segment: Segment, part: string): Params | null {
+        if (segment.type === 'param') {
+            const value = this.decode(part);
+            if (segment.pattern && !segment.pattern.test(value)) {
+                return null;
+            }
+            return { [segment.name]: value };
+        }
+
+        if (segment.type === 'composite') {
+            const match = segment.regex.exec(this.decode(part));
+            return match ? { ...match.groups } : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Decodes a parameter value captured from a path decoded by `decodePath()`.
+     *
+     * @param value The captured value
+     * @returns The value as the route sees it
+     */
+    decode(value: string): string {
+        return decodeParam(value, this.encodedSlashes);
+    }
+
+    /**
+     * Returns the key a static segment is stored under: the segment itself, or
+     * its lowercase form when matching is case-insensitive.
+     *
+     * @param value The static segment or URL part
+     * @returns The key of the segment
+     */
+    staticKey(value: string): string {
+        return this.caseSensitive ? value : value.toLowerCase();
+    }
+
     /**
      * Finds or creates a route node for the given HTTP method.
      * @param method the HTTP method to find or create a route node for
@@ -116,39 +374,160 @@ class RoutesTree {
      */
     private findOrCreateMethodNode(method: string): RouteNode {
         if (!this.root.children.has(method)) {
-            this.root.children.set(method, { children: new Map() });
+            this.root.children.set(method, this.createNode());
         }
         return this.root.children.get(method)!;
     }
 
     /**
-     * Validates the parameters against the conditions specified in the route's "wheres".
-     * 
-     * Iterates over each condition defined in the route's "wheres" and checks if the
-     * corresponding parameter in the params object satisfies that condition. Conditions
-     * can be a regular expression, an array of allowed values, or a custom validation
-     * function.
-     *
-     * @param route The route object containing the "wheres" conditions.
-     * @param params The parameters to validate against the route's conditions.
-     * @returns `true` if all conditions are satisfied, otherwise `boolean`
+     * Finds or creates the child of a node for the given segment, in the slot
+     * that matches the segment type.
+     * @param node the parent node
+     * @param segment the segment of the child
+     * @returns the child node for the segment
+     * @private
      */
-    private validateWheres(route: Route, params: Record<string, string>): boolean {
-        for (const [key, condition] of Object.entries(route.wheres)) {
-            if (!(key in params)) continue;
+    private findOrCreateChild(node: RouteNode, segment: Segment): RouteNode {
+        if (segment.type === 'static') {
+            const key = this.staticKey(segment.value);
+            if (!node.children.has(key)) {
+                node.children.set(key, this.createNode(segment));
+            }
+            return node.children.get(key)!;
+        }
+
+        const siblings = segment.type === 'wildcard' ? node.wildcards : node.params;
+        let child = siblings.find(sibling => sibling.segment!.key === segment.key);
+        if (!child) {
+            child = this.createNode(segment);
+            siblings.push(child);
+        }
+        return child;
+    }
+
+    /**
+     * Finds a registered route that matches the same URLs as a path variant
+     * of a new route: static and constrained segments must be identical,
+     * while unconstrained parameters and wildcards may have other names. A
+     * `where()` condition on one of the renamed parameters, in either route,
+     * tells them apart.
+     * @param node the node to match the remaining segments from
+     * @param segments the remaining segments of the variant
+     * @param route the new route
+     * @param renamed the parameter names of the registered route and of the new route that differ
+     * @returns the shadowing route, or undefined if there is none
+     * @private
+     */
+    private findShadowingRoute(node: RouteNode | undefined, segments: Segment[], route: Route, renamed: [string, string][]): Route | undefined {
+        if (!node) {
+            return undefined;
+        }
+
+        if (!segments.length) {
+            const existing = node.route;
+            const constrained = renamed.some(([name, newName]) => existing && (name in existing.wheres || newName in route.wheres));
+
+            return existing && renamed.length && !constrained ? existing : undefined;
+        }
+
+        const [segment, ...rest] = segments;
+        const loose = segment.type === 'wildcard' || (segment.type === 'param' && !segment.pattern);
+
+        if (!loose) {
+            return this.findShadowingRoute(this.findChild(node, segment), rest, route, renamed);
+        }
+
+        const siblings = (segment.type === 'wildcard' ? node.wildcards : node.params)
+            .filter(sibling => sibling.segment!.type === segment.type && !(sibling.segment!.type === 'param' && sibling.segment!.pattern));
 
-            const value = params[key];
+        for (const sibling of siblings) {
+            const { name } = sibling.segment as { name: string };
+            const names: [string, string][] = name === segment.name ? renamed : [...renamed, [name, segment.name]];
+            const shadowing = this.findShadowingRoute(sibling, rest, route, names);
 
-            if (condition instanceof RegExp) {
-                return condition.test(value);
+            if (shadowing) {
+                return shadowing;
             }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Finds the child of a node for the given segment, without creating it.
+     * @param node the parent node
+     * @param segment the segment of the child
+     * @returns the child node for the segment, or undefined if there is none
+     * @private
+     */
+    private findChild(node: RouteNode, segment: Segment): RouteNode | undefined {
+        if (segment.type === 'static') {
+            return node.children.get(this.staticKey(segment.value));
+        }
+
+        const siblings = segment.type === 'wildcard' ? node.wildcards : node.params;
+        return siblings.find(sibling => sibling.segment!.key === segment.key);
+    }
 
-            if (Array.isArray(condition)) {
-                return condition.includes(value);
+    /**
+     * Removes the empty nodes at the end of a path, from the deepest one up.
+     * @param path the nodes from the method node down to the removed route
+     * @private
+     */
+    private prune(path: RouteNode[]): void {
+        for (let index = path.length - 1; index > 0 && this.isEmpty(path[index]); index--) {
+            const parent = path[index - 1];
+            const segment = path[index].segment!;
+
+            if (segment.type === 'static') {
+                parent.children.delete(this.staticKey(segment.value));
+            } else if (segment.type === 'wildcard') {
+                parent.wildcards = parent.wildcards.filter(node => node !== path[index]);
+            } else {
+                parent.params = parent.params.filter(node => node !== path[index]);
             }
+        }
+    }
+
+    /**
+     * Checks whether a node has neither a route nor children.
+     * @param node the node to check
+     * @returns `true` if the node can be pruned
+     * @private
+     */
+    private isEmpty(node: RouteNode): boolean {
+        return !node.route && !node.children.size && !node.params.length && !node.wildcards.length;
+    }
+
+    /**
+     * Creates an empty route node.
+     * @param segment the segment matched by the node, if any
+     * @returns the new route node
+     * @private
+     */
+    private createNode(segment?: Segment): RouteNode {
+        return { children: new Map(), params: [], wildcards: [], routes: [], segment };
+    }
+
+    /**
+     * Validates the parameters against the conditions specified in the route's "wheres".
+     *
+     * Every condition defined in the route's "wheres" is checked against the
+     * corresponding parameter in the params object. Conditions can be a regular
+     * expression, an array of allowed values, a custom validation function or a
+     * parameter type.
+     *
+     * @param route The route object containing the "wheres" conditions.
+     * @param params The parameters to validate against the route's conditions.
+     * @param ignoreTypes Whether to skip the parameter type conditions.
+     * @returns `true` if all conditions are satisfied, otherwise `false`
+     */
+    validateWheres(route: Route, params: Params, ignoreTypes: boolean): boolean {
+        for (const [key, condition] of Object.entries(route.wheres)) {
+            if (!(key in params) || (ignoreTypes && isParamType(condition))) continue;
 
-            if (typeof condition === 'function') {
-                return condition(value);
+            if (!route.validateParam(key, params[key])) {
+                return false;
             }
         }
         return true;
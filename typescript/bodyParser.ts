@@ -0,0 +1,178 @@
+import type { IncomingMessage } from "node:http";
+import { HttpError } from "./errors.js";
+import { parseQuery } from "./query.js";
+
+export type BodyType = 'json' | 'urlencoded' | 'text' | 'raw';
+
+export interface BodyOptions {
+    types?: BodyType[];
+    limit?: number | string;
+    nested?: boolean;
+}
+
+const UNITS: Record<string, number> = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+/**
+ * Converts a size limit to a number of bytes.
+ *
+ * @param limit - A number of bytes, or a string such as `'100kb'` or `'1mb'`.
+ * @returns The limit in bytes.
+ * @throws If the limit is not a valid size.
+ */
+function parseLimit(limit: number | string): number {
+    if (typeof limit === 'number' && limit >= 0) {
+        return limit;
+    }
+
+    const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(limit).trim());
+    if (!match) {
+        throw new TypeError(`Invalid body size limit: ${limit}`);
+    }
+
+    return Math.floor(Number(match[1]) * UNITS[(match[2] ?? 'b').toLowerCase()]);
+}
+
+/**
+ * Finds the body type that handles a media type.
+ *
+ * @param mediaType - The media type of the request, without parameters.
+ * @returns The body type, or undefined if none handles it.
+ */
+function detectType(mediaType: string): BodyType | undefined {
+    if (mediaType === 'application/json' || /^application\/[\w.+-]+\+json$/.test(mediaType)) {
+        return 'json';
+    }
+
+    if (mediaType === 'application/x-www-form-urlencoded') {
+        return 'urlencoded';
+    }
+
+    if (mediaType.startsWith('text/')) {
+        return 'text';
+    }
+
+    if (mediaType === 'application/octet-stream') {
+        return 'raw';
+    }
+
+    return undefined;
+}
+
+/**
+ * Reads the whole request stream, up to the given number of bytes.
+ *
+ * @param req - The incoming HTTP request.
+ * @param limit - The maximum size of the body in bytes.
+ * @returns The body.
+ * @throws An `HttpError` 413 if the body is larger than the limit.
+ */
+function collect(req: IncomingMessage, limit: number): Promise<Buffer> {
+    return new Promise((resolve, reject) => {
+        const chunks: Buffer[] = [];
+        let size = 0;
+
+        const cleanup = () => {
+            req.off('data', onData);
+            req.off('end', onEnd);
+            req.off('error', onError);
+        };
+
+        const onData = (chunk: Buffer) => {
+            size += chunk.length;
+            if (size > limit) {
+                cleanup();
+                req.resume(); // Discard the rest of the body
+                reject(new HttpError(413));
+                return;
+            }
+            chunks.push(chunk);
+        };
+
+        const onEnd = () => {
+            cleanup();
+            resolve(Buffer.concat(chunks));
+        };
+
+        const onError = (err: Error) => {
+            cleanup();
+            reject(err);
+        };
+
+        req.on('data', onData);
+        req.on('end', onEnd);
+        req.on('error', onError);
+    });
+}
+
+/**
+ * Reads and parses the body of a request according to its `Content-Type`:
+ * JSON, urlencoded forms (parsed like query strings), text, or raw buffers
+ * for `application/octet-stream`.
+ *
+ * @param req - The incoming HTTP request.
+ * @param options - The accepted body `types` (all by default), the size
+ * `limit` (1mb by default) and whether urlencoded keys may be `nested`.
+ * @returns The parsed body, or undefined if the request has no body.
+ * @throws An `HttpError` 415 for unsupported content types, charsets or
+ * encodings, 413 for bodies over the limit, and 400 for malformed JSON.
+ */
+async function readBody(req: IncomingMessage, options: BodyOptions = {}): Promise<unknown> {
+    const length = req.headers['content-length'];
+    if (req.headers['transfer-encoding'] === undefined && (length === undefined || Number(length) === 0)) {
+        return undefined;
+    }
+
+    const [mediaType, ...parameters] = (req.headers['content-type'] ?? '').split(';').map(part => part.trim());
+    const type = detectType(mediaType.toLowerCase());
+
+    if (!type || !(options.types ?? ['json', 'urlencoded', 'text', 'raw']).includes(type)) {
+        throw new HttpError(415, `Unsupported content type: ${mediaType || 'none'}`);
+    }
+
+    const encoding = (req.headers['content-encoding'] ?? 'identity').toLowerCase();
+    if (encoding !== 'identity') {
+        throw new HttpError(415, `Unsupported content encoding: ${encoding}`);
+    }
+
+    const limit = parseLimit(options.limit ?? '1mb');
+    if (length !== undefined && Number(length) > limit) {
+        throw new HttpError(413);
+    }
+
+    const buffer = await collect(req, limit);
+
+    if (type === 'raw') {
+        return buffer;
+    }
+
+    const charset = parameters.find(parameter => /^charset=/i.test(parameter))?.slice(8).replace(/"/g, '') ?? 'utf-8';
+    let text: string;
+    try {
+        text = new TextDecoder(charset).decode(buffer);
+    } catch {
+        throw new HttpError(415, `Unsupported charset: ${charset}`);
+    }
+
+    if (type === 'text') {
+        return text;
+    }
+
+    if (type === 'urlencoded') {
+        return parseQuery(text, { nested: options.nested });
+    }
+
+    if (!text.trim()) {
+        return undefined;
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch {
+        throw new HttpError(400, 'Invalid JSON body');
+    }
+}
+
+export {
+    readBody,
+    parseLimit
+}
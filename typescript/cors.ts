@@ -0,0 +1,172 @@
+import type { IncomingMessage, ServerResponse } from "node:http";
+
+export type CorsOrigin =
+    | boolean
+    | string
+    | RegExp
+    | (string | RegExp)[]
+    | ((origin: string, req: IncomingMessage) => boolean | Promise<boolean>);
+
+export interface CorsOptions {
+    origin?: CorsOrigin;
+    credentials?: boolean;
+    allowedHeaders?: string[];
+    exposedHeaders?: string[];
+    maxAge?: number;
+}
+
+/**
+ * Validates CORS options, as passed to the router, a group or a route.
+ *
+ * @param options - The options, `true` for the defaults or `false` to disable CORS.
+ * @returns The options, or false if CORS is disabled.
+ * @throws If an option is invalid.
+ */
+function resolveCorsOptions(options: CorsOptions | boolean): CorsOptions | false {
+    if (typeof options === 'boolean') {
+        return options && {};
+    }
+
+    if (typeof options !== 'object' || options === null) {
+        throw new TypeError('CORS options should be an object or a boolean');
+    }
+
+    const { origin, credentials, allowedHeaders, exposedHeaders, maxAge } = options;
+    const isOrigin = (item: unknown) => typeof item === 'string' || item instanceof RegExp;
+
+    if (origin !== undefined && typeof origin !== 'boolean' && typeof origin !== 'function' && !isOrigin(origin)
+        && !(Array.isArray(origin) && origin.every(isOrigin))) {
+        throw new TypeError('CORS origin should be a boolean, a string, a RegExp, a list of them or a function');
+    }
+
+    if (credentials !== undefined && typeof credentials !== 'boolean') {
+        throw new TypeError('CORS credentials should be a boolean');
+    }
+
+    for (const [name, headers] of Object.entries({ allowedHeaders, exposedHeaders })) {
+        if (headers !== undefined && !(Array.isArray(headers) && headers.every(header => typeof header === 'string'))) {
+            throw new TypeError(`CORS ${name} should be a list of header names`);
+        }
+    }
+
+    if (maxAge !== undefined && (!Number.isInteger(maxAge) || maxAge < 0)) {
+        throw new TypeError('CORS maxAge should be a non-negative integer');
+    }
+
+    return options;
+}
+
+/**
+ * Returns the value of `Access-Control-Allow-Origin` for a request: `*` when
+ * every origin is allowed without credentials, the origin of the request when
+ * it is allowed, or null when the request has no origin or it is not allowed.
+ *
+ * @param options - The CORS options.
+ * @param req - The incoming HTTP request.
+ * @returns A Promise that resolves with the allowed origin, or null.
+ */
+async function allowedOrigin(options: CorsOptions, req: IncomingMessage): Promise<string | null> {
+    const origin = req.headers.origin;
+    const allowed = options.origin ?? true;
+
+    if (!origin || allowed === false) {
+        return null;
+    }
+
+    if (allowed === true || allowed === '*') {
+        return options.credentials ? origin : '*';
+    }
+
+    const matches = typeof allowed === 'function'
+        ? await allowed(origin, req)
+        : [allowed].flat().some(item => typeof item === 'string' ? item === origin : new RegExp(item).test(origin));
+
+    return matches ? origin : null;
+}
+
+/**
+ * Adds a field to the `Vary` header of the response, unless it is already listed.
+ *
+ * @param res - The outgoing HTTP response.
+ * @param field - The name of the request header.
+ */
+function vary(res: ServerResponse, field: string): void {
+    const fields = String(res.getHeader('Vary') ?? '').split(',').map(item => item.trim()).filter(Boolean);
+
+    if (!fields.some(item => item === '*' || item.toLowerCase() === field.toLowerCase())) {
+        res.setHeader('Vary', [...fields, field].join(', '));
+    }
+}
+
+/**
+ * Adds the request headers a preflight response depends on to the `Vary`
+ * header, whether the preflight is answered or not, so that caches do not
+ * reuse the response for another origin, method or set of headers.
+ *
+ * @param res - The outgoing HTTP response.
+ */
+function varyPreflight(res: ServerResponse): void {
+    for (const field of ['Origin', 'Access-Control-Request-Method', 'Access-Control-Request-Headers']) {
+        vary(res, field);
+    }
+}
+
+/**
+ * Sets the CORS headers of a response to an allowed origin.
+ *
+ * @param res - The outgoing HTTP response.
+ * @param options - The CORS options.
+ * @param origin - The value returned by `allowedOrigin()`.
+ */
+function setCorsHeaders(res: ServerResponse, options: CorsOptions, origin: string): void {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+
+    if (origin !== '*') {
+        vary(res, 'Origin');
+    }
+
+    if (options.credentials) {
+        res.setHeader('Access-Control-Allow-Credentials', 'true');
+    }
+
+    if (options.exposedHeaders?.length) {
+        res.setHeader('Access-Control-Expose-Headers', options.exposedHeaders.join(', '));
+    }
+}
+
+/**
+ * Answers a preflight request with `204 No Content` and the CORS headers.
+ * The requested headers are allowed unless `allowedHeaders` is set.
+ *
+ * @param req - The incoming HTTP request.
+ * @param res - The outgoing HTTP response.
+ * @param options - The CORS options.
+ * @param origin - The value returned by `allowedOrigin()`.
+ * @param methods - The methods allowed for the origin on the path.
+ */
+function sendPreflight(req: IncomingMessage, res: ServerResponse, options: CorsOptions, origin: string, methods: string[]): void {
+    varyPreflight(res);
+    setCorsHeaders(res, options, origin);
+    res.removeHeader('Access-Control-Expose-Headers');
+    res.setHeader('Access-Control-Allow-Methods', methods.join(', '));
+
+    const headers = options.allowedHeaders?.join(', ') ?? req.headers['access-control-request-headers'];
+    if (headers) {
+        res.setHeader('Access-Control-Allow-Headers', headers);
+    }
+
+    if (options.maxAge !== undefined) {
+        res.setHeader('Access-Control-Max-Age', String(options.maxAge));
+    }
+
+    res.statusCode = 204;
+    res.end();
+}
+
+export {
+    resolveCorsOptions,
+    allowedOrigin,
+    varyPreflight,
+    setCorsHeaders,
+    sendPreflight
+}
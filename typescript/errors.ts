@@ -0,0 +1,107 @@
+import { STATUS_CODES } from "node:http";
+
+export interface HttpErrorOptions {
+    details?: unknown;
+    headers?: Record<string, string | string[]>;
+    expose?: boolean;
+    cause?: unknown;
+}
+
+/**
+ * An error carrying the HTTP status code the request should be answered with.
+ * The default error handler responds with this status, the headers of the
+ * error and, when the error is exposed, its message and details.
+ *
+ * Errors with a 4xx status are exposed by default: their message is meant for
+ * the client. Messages of 5xx errors are hidden unless `expose` is set or the
+ * router runs in debug mode.
+ */
+class HttpError extends Error {
+    status: number;
+    details?: unknown;
+    headers: Record<string, string | string[]>;
+    expose: boolean;
+    cause?: unknown;
+
+    /**
+     * Constructs a new HttpError instance.
+     *
+     * @param status - The HTTP status code (e.g., 404, 413).
+     * @param message - The error message. Defaults to the status text.
+     * @param options - Public `details` (e.g., the invalid fields), response
+     * `headers`, whether to `expose` the message, and the `cause` of the error.
+     * @throws If the status is not an error status code.
+     */
+    constructor(status: number, message?: string, options: HttpErrorOptions = {}) {
+        if (!Number.isInteger(status) || status < 400 || status > 599) {
+            throw new TypeError(`Invalid HTTP error status: ${status}`);
+        }
+
+        super(message ?? STATUS_CODES[status] ?? 'Unknown Error');
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = options.details;
+        this.headers = options.headers ?? {};
+        this.expose = options.expose ?? status < 500;
+        this.cause = options.cause;
+    }
+}
+
+/**
+ * 400 Bad Request.
+ */
+class BadRequest extends HttpError {
+    constructor(message?: string, options?: HttpErrorOptions) {
+        super(400, message, options);
+        this.name = 'BadRequest';
+    }
+}
+
+/**
+ * 401 Unauthorized. Pass the `WWW-Authenticate` challenge in `headers`.
+ */
+class Unauthorized extends HttpError {
+    constructor(message?: string, options?: HttpErrorOptions) {
+        super(401, message, options);
+        this.name = 'Unauthorized';
+    }
+}
+
+/**
+ * 403 Forbidden.
+ */
+class Forbidden extends HttpError {
+    constructor(message?: string, options?: HttpErrorOptions) {
+        super(403, message, options);
+        this.name = 'Forbidden';
+    }
+}
+
+/**
+ * 404 Not Found.
+ */
+class NotFound extends HttpError {
+    constructor(message?: string, options?: HttpErrorOptions) {
+        super(404, message, options);
+        this.name = 'NotFound';
+    }
+}
+
+/**
+ * 409 Conflict.
+ */
+class Conflict extends HttpError {
+    constructor(message?: string, options?: HttpErrorOptions) {
+        super(409, message, options);
+        this.name = 'Conflict';
+    }
+}
+
+export {
+    HttpError,
+    BadRequest,
+    Unauthorized,
+    Forbidden,
+    NotFound,
+    Conflict
+}
@@ -0,0 +1,86 @@
+import { Readable } from "node:stream";
+import type { IncomingHttpHeaders } from "node:http";
+import type BufferedResponse from "./BufferedResponse.js";
+import type { Request } from "./Router.js";
+import { createRequest } from "./inject.js";
+
+const NULL_BODY_STATUSES = [101, 103, 204, 205, 304];
+
+/**
+ * Reads a web stream chunk by chunk.
+ *
+ * @param body - The body of a Fetch API request.
+ * @returns The chunks of the body, as buffers.
+ */
+async function* readChunks(body: ReadableStream<Uint8Array>): AsyncGenerator<Buffer> {
+    const reader = body.getReader();
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+            return;
+        }
+        yield Buffer.from(value);
+    }
+}
+
+/**
+ * Converts a Fetch API request into a readable stream with the properties of
+ * `IncomingMessage` used by the router: `method`, `url` (the path and the
+ * query string), `headers` with lowercase names, and the body as the stream.
+ *
+ * @param request - The Fetch API request.
+ * @returns The request for the router.
+ */
+function toNodeRequest(request: globalThis.Request): Request {
+    const url = new URL(request.url);
+    const headers: IncomingHttpHeaders = {};
+
+    request.headers.forEach((value, name) => {
+        headers[name] = value;
+    });
+
+    headers.host ??= url.host;
+
+    if (request.body && headers['content-length'] === undefined) {
+        headers['transfer-encoding'] ??= 'chunked'; // As Node.js reports a body of unknown length
+    }
+
+    const stream = request.body ? Readable.from(readChunks(request.body)) : Readable.from([]);
+
+    return createRequest(request.method, url.pathname + url.search, headers, stream);
+}
+
+/**
+ * Converts a buffered response into a Fetch API response, once it has ended.
+ * The body is left out for `HEAD` requests and the statuses that cannot have one.
+ *
+ * @param res - The buffered response.
+ * @param method - The HTTP method of the request.
+ * @returns The Fetch API response.
+ * @throws If the response is left open without writes for 5 seconds after
+ * the request was handled.
+ */
+async function toFetchResponse(res: BufferedResponse, method: string): Promise<globalThis.Response> {
+    await res.waitForEnd();
+
+    const headers = new Headers();
+    for (const [name, value] of Object.entries(res.getHeaders())) {
+        for (const item of [value ?? []].flat()) {
+            headers.append(name, String(item));
+        }
+    }
+
+    const hasBody = method !== 'HEAD' && !NULL_BODY_STATUSES.includes(res.statusCode);
+
+    return new Response(hasBody ? res.body : null, {
+        status: res.statusCode,
+        statusText: res.statusMessage || undefined,
+        headers,
+    });
+}
+
+export {
+    toNodeRequest,
+    toFetchResponse
+}
@@ -0,0 +1,54 @@
+import type { IncomingMessage, ServerResponse } from "node:http";
+import type { RequestParams } from "./Router.js";
+
+export type HookName = 'onRequest' | 'onMatch' | 'onNotFound' | 'onError' | 'onResponse';
+export type Hook = (context: HookContext) => void | Promise<void>;
+
+/**
+ * The state of a request as seen by the lifecycle hooks. The same object is
+ * passed to every hook of a request, and filled in as the request goes on.
+ */
+export interface HookContext {
+    req: IncomingMessage;
+    res: ServerResponse;
+    method: string;
+    url: string;
+    /** The `performance.now()` time at which the request was received. */
+    startTime: number;
+    /** The pattern of the matched route, including mount prefixes (e.g., `/users/:id`). */
+    route?: string;
+    routeName?: string;
+    host?: string;
+    params?: RequestParams;
+    error?: Error;
+    /** Set when the response ends. */
+    statusCode?: number;
+    /** The time taken to answer the request, in milliseconds. Set when the response ends. */
+    duration?: number;
+}
+
+/**
+ * The event emitted on `router.events` for each hook.
+ */
+const HOOK_EVENTS: Record<HookName, string> = {
+    onRequest: 'request',
+    onMatch: 'match',
+    onNotFound: 'notFound',
+    onError: 'error',
+    onResponse: 'response',
+};
+
+/**
+ * Checks whether a value is the name of a lifecycle hook.
+ *
+ * @param name - The value to check.
+ * @returns Whether the value is a hook name.
+ */
+function isHookName(name: unknown): name is HookName {
+    return typeof name === 'string' && Object.prototype.hasOwnProperty.call(HOOK_EVENTS, name);
+}
+
+export {
+    HOOK_EVENTS,
+    isHookName
+}
@@ -0,0 +1,82 @@
+import type { IncomingMessage } from "node:http";
+import type { Params } from "./Router.js";
+
+export interface HostPattern {
+    pattern: string;
+    regex: RegExp;
+    paramNames: string[];
+}
+
+const PARAM_LABEL = /^:([A-Za-z_][A-Za-z0-9_]*)$/;
+
+/**
+ * Parses a host pattern such as `api.example.com` or `:tenant.example.com`.
+ * Every label is either static, matched case-insensitively, or a parameter
+ * (`:name`) that matches a whole label.
+ *
+ * @param pattern - The host pattern.
+ * @returns The parsed pattern.
+ * @throws If the pattern is not a non-empty string, or a parameter is invalid
+ * or repeated.
+ */
+function parseHost(pattern: string): HostPattern {
+    if (typeof pattern !== 'string' || !pattern.trim()) {
+        throw new TypeError('The host pattern should be a non-empty string');
+    }
+
+    const normalized = pattern.trim().replace(/\.$/, '');
+    const paramNames: string[] = [];
+
+    const labels = normalized.split('.').map((label) => {
+        if (!label.startsWith(':')) {
+            return label.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+
+        const name = PARAM_LABEL.exec(label)?.[1];
+        if (!name) {
+            throw new Error(`Invalid parameter "${label}" in host ${pattern}`);
+        }
+        if (paramNames.includes(name)) {
+            throw new Error(`Duplicate parameter "${name}" in host ${pattern}`);
+        }
+
+        paramNames.push(name);
+
+        return `(?<${name}>[^.]+)`;
+    });
+
+    return { pattern: normalized, regex: new RegExp(`^${labels.join('\\.')}$`), paramNames };
+}
+
+/**
+ * Returns the host name of a request: the `Host` header (or the HTTP/2
+ * `:authority` pseudo-header) without the port, in lowercase.
+ *
+ * @param req - The incoming HTTP request.
+ * @returns The host name, or an empty string if the request has none.
+ */
+function getHostname(req: IncomingMessage): string {
+    const host = String(req.headers.host ?? req.headers[':authority'] ?? '').trim().toLowerCase();
+    const hostname = host.startsWith('[') ? host.slice(0, host.indexOf(']') + 1) : host.split(':')[0];
+
+    return hostname.replace(/\.$/, '');
+}
+
+/**
+ * Matches a host name against a host pattern.
+ *
+ * @param host - The host pattern.
+ * @param hostname - The host name of the request.
+ * @returns The captured parameters, or null if the host does not match.
+ */
+function matchHost(host: HostPattern, hostname: string): Params | null {
+    const match = host.regex.exec(hostname);
+
+    return match ? { ...match.groups } : null;
+}
+
+export {
+    parseHost,
+    getHostname,
+    matchHost
+}
@@ -0,0 +1,120 @@
+import { Readable } from "node:stream";
+import type { IncomingHttpHeaders, OutgoingHttpHeaders } from "node:http";
+import type BufferedResponse from "./BufferedResponse.js";
+import type { Request } from "./Router.js";
+
+export interface InjectOptions {
+    method?: string;
+    url?: string;
+    headers?: Record<string, string | string[]>;
+    body?: unknown;
+    /** The time the response may stay open without writes once the request is handled, in milliseconds. */
+    timeout?: number;
+}
+
+export interface InjectResponse {
+    statusCode: number;
+    statusMessage: string;
+    headers: OutgoingHttpHeaders;
+    body: string;
+    rawBody: Buffer;
+    json: () => unknown;
+}
+
+/**
+ * Creates a request for the router from a readable stream of its body.
+ *
+ * @param method - The HTTP method.
+ * @param url - The path and the query string.
+ * @param headers - The headers, with lowercase names.
+ * @param body - The stream of the body.
+ * @returns The request, with the properties of `IncomingMessage` used by the router.
+ */
+function createRequest(method: string, url: string, headers: IncomingHttpHeaders, body: Readable): Request {
+    return Object.assign(body, {
+        method: method.toUpperCase(),
+        url,
+        headers,
+        httpVersion: '1.1',
+        params: {},
+    }) as unknown as Request;
+}
+
+/**
+ * Creates the request of `Router.inject()`. A string, `Buffer` or
+ * `Uint8Array` body is sent as is, a readable stream or async iterable is
+ * streamed, and any other value is serialized as JSON.
+ *
+ * @param options - The method, URL, headers and body of the request.
+ * @returns The request.
+ * @throws If the URL does not start with a slash, or the timeout is not a
+ * non-negative number.
+ */
+function createInjectRequest(options: InjectOptions): Request {
+    const url = options.url ?? '/';
+    if (typeof url !== 'string' || !url.startsWith('/')) {
+        throw new TypeError('The injected URL should be a path starting with "/"');
+    }
+
+    if (options.timeout !== undefined && !(typeof options.timeout === 'number' && options.timeout >= 0)) {
+        throw new TypeError('The inject timeout should be a non-negative number of milliseconds');
+    }
+
+    const headers: IncomingHttpHeaders = { host: 'localhost' };
+    for (const [name, value] of Object.entries(options.headers ?? {})) {
+        headers[name.toLowerCase()] = value;
+    }
+
+    let body = options.body;
+    let stream: Readable;
+
+    if (body === undefined || body === null) {
+        stream = Readable.from([]);
+    } else if (body instanceof Readable || (typeof body === 'object' && Symbol.asyncIterator in body)) {
+        stream = body instanceof Readable ? body : Readable.from(body as AsyncIterable<unknown>);
+        headers['transfer-encoding'] ??= 'chunked';
+    } else {
+        if (typeof body !== 'string' && !(body instanceof Uint8Array)) {
+            body = JSON.stringify(body);
+            headers['content-type'] ??= 'application/json';
+        }
+
+        const buffer = Buffer.from(body as string | Uint8Array);
+        headers['content-length'] ??= String(buffer.length);
+        stream = Readable.from([buffer]);
+    }
+
+    return createRequest(options.method ?? 'GET', url, headers, stream);
+}
+
+/**
+ * Waits for a buffered response to end and describes it. The body is left
+ * out for `HEAD` requests, as Node.js does.
+ *
+ * @param res - The buffered response.
+ * @param method - The HTTP method of the request.
+ * @param timeout - The time the response may stay open without writes, in milliseconds.
+ * @returns The status, headers and body of the response.
+ * @throws If the response is idle for longer than `timeout`.
+ */
+async function toInjectResponse(res: BufferedResponse, method: string, timeout?: number): Promise<InjectResponse> {
+    await res.waitForEnd(timeout);
+
+    const rawBody = method === 'HEAD' ? Buffer.alloc(0) : res.body;
+    const body = rawBody.toString('utf8');
+
+    return {
+        statusCode: res.statusCode,
+        statusMessage: res.statusMessage,
+        headers: res.getHeaders(),
+        body,
+        rawBody,
+        json: () => JSON.parse(body),
+    };
+}
+
+export {
+    createRequest,
+    createInjectRequest,
+    toInjectResponse
+}
@@ -1,42 +1,228 @@
 import { IncomingMessage, ServerResponse, STATUS_CODES } from "node:http";
+import type { ErrorHandler, Handler, Middleware, Request, ValidationIssue } from "./Router.js";
+import { HttpError } from "./errors.js";
+import { negotiate } from "./negotiation.js";
+
+export interface ErrorHandlerOptions {
+    debug?: boolean;
+}
+
+const ERROR_MEDIA_TYPES = ['application/json', 'application/problem+json', 'text/plain', 'text/html'];
+
+/**
+ * Escapes the characters that have a meaning in HTML.
+ *
+ * @param text - The text to escape.
+ * @returns The escaped text.
+ */
+function escapeHtml(text: string): string {
+    return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
 
 /**
- * Handles 404 errors by sending a JSON response with status 404.
+ * Sends an error response in the format negotiated from the `Accept` header:
+ * JSON (the default), RFC 7807 `application/problem+json`, plain text or
+ * HTML.
+ *
+ * @param req - The incoming HTTP request.
+ * @param res - The outgoing HTTP response.
+ * @param status - The HTTP status code.
+ * @param message - The public message; defaults to the status text.
+ * @param extra - Additional members of the JSON body (e.g., `errors`).
+ */
+function sendError(req: IncomingMessage, res: ServerResponse, status: number, message?: string, extra: Record<string, unknown> = {}): void {
+    const title = STATUS_CODES[status] ?? 'Error';
+    const detail = message ?? title;
+    const mediaType = negotiate(req.headers.accept, ERROR_MEDIA_TYPES) ?? ERROR_MEDIA_TYPES[0];
+    const hasExtra = Object.keys(extra).length > 0;
+    let body: string;
+
+    switch (mediaType) {
+        case 'application/problem+json':
+            body = JSON.stringify({ type: 'about:blank', title, status, ...(detail !== title && { detail }), ...extra });
+            break;
+        case 'text/plain':
+            body = [`${status} ${title}`, detail !== title && detail, hasExtra && JSON.stringify(extra, null, 2)]
+                .filter(Boolean).join('\n');
+            break;
+        case 'text/html':
+            body = `<!DOCTYPE html><html><head><title>${status} ${escapeHtml(title)}</title></head><body>`
+                + `<h1>${status} ${escapeHtml(title)}</h1>`
+                + (detail !== title ? `<p>${escapeHtml(detail)}</p>` : '')
+                + (hasExtra ? `<pre>${escapeHtml(JSON.stringify(extra, null, 2))}</pre>` : '')
+                + '</body></html>';
+            break;
+        default:
+            body = JSON.stringify({ status, message: detail, ...extra });
+    }
+
+    res.statusCode = status;
+    res.setHeader('Content-Type', mediaType.startsWith('text/') ? `${mediaType}; charset=utf-8` : mediaType);
+    res.end(body);
+}
+
+/**
+ * Handles 404 errors by sending a response with status 404.
  *
  * @param req - The incoming HTTP request.
  * @param res - The outgoing HTTP response.
  * @returns A Promise that resolves when the response has been sent.
  */
 async function notFoundHandler(req: IncomingMessage, res: ServerResponse): Promise<void> {
-    res.statusCode = 404;
-    res.setHeader('Content-Type', 'application/json');
-    res.write(JSON.stringify({
-        status: 404,
-        message: STATUS_CODES[404]
-    }));
-    res.end();
+    sendError(req, res, 404);
 }
 
 /**
- * Handles errors by logging them and sending a JSON response with status 500.
+ * Handles requests whose path exists under other HTTP methods by sending a
+ * response with status 405 and the `Allow` header.
  *
- * @param err - The error object to handle.
  * @param req - The incoming HTTP request.
  * @param res - The outgoing HTTP response.
+ * @param allowed - The HTTP methods registered for the requested path.
+ * @returns A Promise that resolves when the response has been sent.
+ */
+async function methodNotAllowedHandler(req: IncomingMessage, res: ServerResponse, allowed: string[]): Promise<void> {
+    res.setHeader('Allow', allowed.join(', '));
+    sendError(req, res, 405);
+}
+
+/**
+ * Handles requests that fail validation by sending a response with status
+ * 400 listing every issue.
+ *
+ * @param req - The incoming HTTP request.
+ * @param res - The outgoing HTTP response.
+ * @param issues - The validation issues, each with the path of the invalid value.
+ * @returns A Promise that resolves when the response has been sent.
+ */
+async function validationHandler(req: IncomingMessage, res: ServerResponse, issues: ValidationIssue[]): Promise<void> {
+    sendError(req, res, 400, undefined, { errors: issues });
+}
+
+/**
+ * Creates an error handler that responds with the status, headers, message
+ * and details of an `HttpError`, or 500 for any other error. Messages of
+ * errors that are not exposed (5xx and plain errors) are replaced by the
+ * status text, unless `debug` is set, in which case the message and the stack
+ * are always sent. Server errors are logged.
+ *
+ * @param options - The handler options; `debug` exposes every error.
+ * @returns The error handler.
+ */
+function createErrorHandler(options: ErrorHandlerOptions = {}): ErrorHandler {
+    return async (err: Error, req: IncomingMessage, res: ServerResponse): Promise<void> => {
+        const httpError = err instanceof HttpError ? err : undefined;
+        const status = httpError?.status ?? 500;
+        const expose = options.debug || httpError?.expose;
+        const extra: Record<string, unknown> = {};
+
+        if (status >= 500) {
+            console.error(err); // Default: log the error
+        }
+
+        for (const [name, value] of Object.entries(httpError?.headers ?? {})) {
+            res.setHeader(name, value);
+        }
+
+        if (expose && httpError?.details !== undefined) {
+            extra.details = httpError.details;
+        }
+
+        if (options.debug) {
+            extra.stack = err?.stack?.split('\n');
+        }
+
+        sendError(req, res, status, expose ? String(err?.message ?? err) : undefined, extra);
+    };
+}
+
+/**
+ * Handles errors with the default options of `createErrorHandler()`: internal
+ * messages are hidden.
  */
-async function errorHandler(err: Error, req: IncomingMessage, res: ServerResponse): Promise<void> {
-    console.error(err); // Default: log the error
-    res.statusCode = 500;
-    res.setHeader('Content-Type', 'application/json');
-    res.write(JSON.stringify({
-        status: 500,
-        message: STATUS_CODES[500],
-        error: err.message
-    }));
-    res.end();
-};
+const errorHandler: ErrorHandler = createErrorHandler();
+
+/**
+ * Composes a list of middleware and a final handler into a single onion-style
+ * pipeline. Each middleware receives a `next` function that runs the rest of
+ * the chain and resolves once it has finished, so code placed after
+ * `await next()` runs after the handler. A middleware that never calls `next`
+ * short-circuits the chain.
+ *
+ * The chain resolves only once the rest of it has finished, even when a
+ * middleware calls `next()` without awaiting it or only after it has
+ * resolved, as callback-style middleware does (`setTimeout(next)`), so errors
+ * thrown further down always reach the error handlers. A middleware that
+ * resolves without calling `next` is waited on until it calls it or the
+ * response is closed.
+ *
+ * Middleware declared without a `next` parameter (`(req, res) => ...`) keeps
+ * the previous semantics: the chain continues once it has resolved, unless
+ * it has ended the response.
+ *
+ * @param middlewares - The middleware to run, in order.
+ * @param handler - The handler to run after the last middleware.
+ * @returns A function that runs the whole pipeline for a request.
+ */
+function compose(middlewares: Middleware[], handler: Handler): Handler {
+    return (req: Request, res: ServerResponse): Promise<void> => {
+        let lastIndex = -1;
+
+        const dispatch = async (index: number): Promise<void> => {
+            if (index <= lastIndex) {
+                throw new Error('next() called multiple times');
+            }
+            lastIndex = index;
+
+            if (index === middlewares.length) {
+                await handler(req, res);
+                return;
+            }
+
+            const middleware = middlewares[index];
+            let downstream: Promise<void> | undefined;
+            let resume: (() => void) | undefined;
+            const next = () => {
+                if (downstream) {
+                    throw new Error('next() called multiple times');
+                }
+                downstream = dispatch(index + 1);
+                resume?.();
+                return downstream;
+            };
+
+            try {
+                await middleware(req, res, next);
+            } catch (err) {
+                downstream?.catch(() => {}); // The error of the middleware wins
+                throw err;
+            }
+
+            if (!downstream && !res.writableEnded) {
+                if (middleware.length < 3) {
+                    next();
+                } else {
+                    await new Promise<void>((resolve) => {
+                        resume = resolve;
+                        res.once('close', resolve);
+                    });
+                    res.off('close', resume!);
+                }
+            }
+
+            await downstream; // Also when next() was called without being awaited
+        };
+
+        return dispatch(0);
+    };
+}
 
 export {
     notFoundHandler,
-    errorHandler
+    methodNotAllowedHandler,
+    validationHandler,
+    errorHandler,
+    createErrorHandler,
+    sendError,
+    compose
 }
\ No newline at end of file
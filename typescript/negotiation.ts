@@ -0,0 +1,85 @@
+interface MediaRange {
+    type: string;
+    subtype: string;
+    quality: number;
+    index: number;
+}
+
+/**
+ * Parses an `Accept` header into media ranges, skipping malformed ones.
+ *
+ * @param header - The value of the `Accept` header.
+ * @returns The media ranges, in the order of the header.
+ */
+function parseAccept(header: string): MediaRange[] {
+    return header.split(',').flatMap((part, index) => {
+        const [range, ...parameters] = part.trim().toLowerCase().split(';').map(item => item.trim());
+        const [type, subtype] = range.split('/');
+
+        if (!type || !subtype) {
+            return [];
+        }
+
+        const q = parameters.find(parameter => parameter.startsWith('q='));
+        const quality = q ? Number(q.slice(2)) : 1;
+
+        return Number.isFinite(quality) ? [{ type, subtype, quality, index }] : [];
+    });
+}
+
+/**
+ * Returns how specifically a media range matches a media type: 3 for an exact
+ * match, 2 for `type/*`, 1 for `*\/*` and 0 for no match.
+ *
+ * @param range - The media range of the `Accept` header.
+ * @param mediaType - The media type that can be produced.
+ * @returns The specificity of the match.
+ */
+function specificity(range: MediaRange, mediaType: string): number {
+    const [type, subtype] = mediaType.split('/');
+
+    if (range.type === type && range.subtype === subtype) return 3;
+    if (range.type === type && range.subtype === '*') return 2;
+    if (range.type === '*' && range.subtype === '*') return 1;
+    return 0;
+}
+
+/**
+ * Selects the media type to respond with according to an `Accept` header.
+ * Each type takes the quality of the most specific range that matches it;
+ * ties are broken by the order of `available`.
+ *
+ * @param header - The value of the `Accept` header, if any.
+ * @param available - The media types that can be produced, by preference.
+ * @returns The selected media type, the first available one when the header
+ * is missing, or undefined if none is acceptable.
+ */
+function negotiate(header: string | undefined, available: string[]): string | undefined {
+    if (!header || !header.trim()) {
+        return available[0];
+    }
+
+    const ranges = parseAccept(header);
+    let best: { mediaType: string; quality: number } | undefined;
+
+    for (const mediaType of available) {
+        let match: { quality: number; specificity: number } | undefined;
+
+        for (const range of ranges) {
+            const rank = specificity(range, mediaType);
+            if (rank && (!match || rank > match.specificity)) {
+                match = { quality: range.quality, specificity: rank };
+            }
+        }
+
+        if (match && match.quality > 0 && (!best || match.quality > best.quality)) {
+            best = { mediaType, quality: match.quality };
+        }
+    }
+
+    return best?.mediaType;
+}
+
+export {
+    negotiate
+}
@@ -0,0 +1,211 @@
+import { STATUS_CODES } from "node:http";
+import type Route from "./Route.js";
+import type { Condition, Segment } from "./Route.js";
+import { isParamType } from "./paramTypes.js";
+import type { JSONSchema } from "./schema.js";
+
+export interface OpenAPIInfo {
+    title: string;
+    version: string;
+    [key: string]: unknown;
+}
+
+export interface OpenAPIDocument {
+    openapi: string;
+    info: OpenAPIInfo;
+    paths: Record<string, Record<string, Record<string, unknown>>>;
+    [key: string]: unknown;
+}
+
+type Schema = Record<string, unknown>;
+
+const OPERATION_METHODS = ['GET', 'PUT', 'POST', 'DELETE', 'OPTIONS', 'HEAD', 'PATCH', 'TRACE'];
+
+const TYPE_SCHEMAS: Record<string, Schema> = {
+    int: { type: 'integer' },
+    uuid: { type: 'string', format: 'uuid' },
+    date: { type: 'string', format: 'date' },
+};
+
+/**
+ * Converts a `where()` condition into the schema of a path parameter.
+ *
+ * @param condition - The condition of the parameter, if any.
+ * @returns The JSON schema of the parameter.
+ */
+function conditionToSchema(condition?: Condition): Schema {
+    if (condition instanceof RegExp) {
+        return { type: 'string', pattern: condition.source };
+    }
+
+    if (Array.isArray(condition)) {
+        return { type: 'string', enum: [...condition] };
+    }
+
+    if (isParamType(condition)) {
+        return TYPE_SCHEMAS[condition.name ?? ''] ?? { type: 'string', pattern: condition.pattern.source };
+    }
+
+    return { type: 'string' };
+}
+
+/**
+ * Returns the name used for a parameter in OpenAPI path templates. Unnamed
+ * wildcards are exposed as `wildcard`.
+ *
+ * @param name - The name of the route parameter.
+ * @returns The name of the path parameter.
+ */
+function templateName(name: string): string {
+    return name === '*' ? 'wildcard' : name;
+}
+
+/**
+ * Converts the segments of a route variant into an OpenAPI path template,
+ * e.g. `/users/:id/files/:name.:ext` into `/users/{id}/files/{name}.{ext}`.
+ *
+ * @param segments - The segments of the route variant.
+ * @returns The path template and the names of its parameters, as in the route.
+ */
+function toPathTemplate(segments: Segment[]): { path: string; params: string[] } {
+    const params: string[] = [];
+
+    const parts = segments.map((segment) => {
+        switch (segment.type) {
+            case 'static':
+                return segment.value;
+            case 'composite':
+                return segment.parts.map((part) => {
+                    if (typeof part === 'string') {
+                        return part;
+                    }
+                    params.push(part.name);
+                    return `{${part.name}}`;
+                }).join('');
+            default:
+                params.push(segment.name);
+                return `{${templateName(segment.name)}}`;
+        }
+    });
+
+    return { path: `/${parts.join('/')}`, params };
+}
+
+/**
+ * Converts the properties of an object schema declared with `Route.schema()`
+ * into OpenAPI parameters.
+ *
+ * @param schema - The object schema of the query or the headers.
+ * @param location - The location of the parameters.
+ * @returns The OpenAPI parameter objects.
+ */
+function schemaToParameters(schema: JSONSchema | undefined, location: 'query' | 'header'): Record<string, unknown>[] {
+    return Object.entries(schema?.properties ?? {}).map(([name, propertySchema]) => ({
+        name,
+        in: location,
+        required: schema!.required?.includes(name) ?? false,
+        schema: propertySchema,
+    }));
+}
+
+/**
+ * Builds the operation object of a route for one HTTP method.
+ *
+ * @param route - The route.
+ * @param method - The HTTP method of the operation.
+ * @param params - The names of the path parameters.
+ * @param omitted - The optional parameters left out of the path variant,
+ * named in the `operationId` to keep it unique across variants.
+ * @returns The OpenAPI operation object.
+ */
+function buildOperation(route: Route, method: string, params: string[], omitted: string[] = []): Record<string, unknown> {
+    const { responses, operationId, ...meta } = route.metadata;
+    const operation: Record<string, unknown> = { ...meta };
+    const methods = route.methods.filter(item => item !== 'HEAD' || !route.methods.includes('GET'));
+
+    if (operationId || route.routeName) {
+        const id = operationId ?? route.routeName;
+        operation.operationId = (methods.length > 1 ? `${id}.${method.toLowerCase()}` : id)
+            + (omitted.length ? `.without-${omitted.join('-')}` : '');
+    }
+
+    const { schemas } = route;
+    const parameters = [
+        ...params.map(param => ({
+            name: templateName(param),
+            in: 'path',
+            required: true,
+            schema: schemas.params?.properties?.[param] ?? conditionToSchema(route.wheres[param]),
+        })),
+        ...schemaToParameters(schemas.query, 'query'),
+        ...schemaToParameters(schemas.headers, 'header'),
+        ...(Array.isArray(meta.parameters) ? meta.parameters : []),
+    ];
+
+    if (parameters.length) {
+        operation.parameters = parameters;
+    }
+
+    if (schemas.body && !meta.requestBody) {
+        operation.requestBody = { required: true, content: { 'application/json': { schema: schemas.body } } };
+    }
+
+    operation.responses = responses ?? (schemas.response
+        ? Object.fromEntries(Object.entries(schemas.response).map(([status, schema]) => [
+            status,
+            { description: STATUS_CODES[status] ?? 'Response', content: { 'application/json': { schema } } },
+        ]))
+        : { default: { description: 'Default response' } });
+
+    return operation;
+}
+
+/**
+ * Builds an OpenAPI 3 document from a list of routes. Routes with optional
+ * parameters produce one path per variant, since OpenAPI path parameters are
+ * always required; the `operationId` of a variant names the parameters it
+ * leaves out (e.g., `posts.list.without-page`). `HEAD` operations of `GET`
+ * routes are left implicit.
+ *
+ * @param routes - The routes, with the prefix they are mounted under.
+ * @param info - The `info` object of the document.
+ * @param document - Additional top-level fields of the document.
+ * @returns The OpenAPI document.
+ * @throws If `info.title` or `info.version` is missing.
+ */
+function buildOpenAPIDocument(routes: { route: Route; mount: string }[], info: OpenAPIInfo, document: Record<string, unknown> = {}): OpenAPIDocument {
+    if (!info || typeof info.title !== 'string' || typeof info.version !== 'string') {
+        throw new TypeError('OpenAPI info must have a title and a version');
+    }
+
+    const paths: OpenAPIDocument['paths'] = {};
+
+    for (const { route, mount } of routes) {
+        const methods = route.methods.filter(method =>
+            OPERATION_METHODS.includes(method) && (method !== 'HEAD' || !route.methods.includes('GET')));
+
+        const templates = route.variants.map(toPathTemplate);
+        const allParams = templates.reduce((all, { params }) => params.length > all.length ? params : all, [] as string[]);
+
+        for (const { path, params } of templates) {
+            const template = mount + (path === '/' && mount ? '' : path);
+            const omitted = allParams.filter(param => !params.includes(param));
+
+            paths[template] ??= {};
+            for (const method of methods) {
+                paths[template][method.toLowerCase()] = buildOperation(route, method, params, omitted);
+            }
+        }
+    }
+
+    return {
+        openapi: '3.0.3',
+        info,
+        ...document,
+        paths: Object.fromEntries(Object.entries(paths).sort(([a], [b]) => a.localeCompare(b))),
+    };
+}
+
+export {
+    buildOpenAPIDocument
+}
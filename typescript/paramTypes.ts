@@ -0,0 +1,68 @@
+import type { ParamValue } from "./Router.js";
+
+export interface ParamType<T extends ParamValue = ParamValue> {
+    name?: string;
+    pattern: RegExp;
+    cast?: (value: string) => T;
+}
+
+/**
+ * Casts a value to an integer.
+ *
+ * @param value - The value of the route parameter.
+ * @returns The parsed integer.
+ * @throws If the value is outside the safe integer range.
+ */
+function castInt(value: string): number {
+    const number = Number(value);
+    if (!Number.isSafeInteger(number)) {
+        throw new RangeError('is out of range');
+    }
+    return number;
+}
+
+/**
+ * Casts a `YYYY-MM-DD` value to a `Date` at midnight UTC.
+ *
+ * @param value - The value of the route parameter.
+ * @returns The parsed date.
+ * @throws If the value is not an existing calendar date (e.g., 2024-02-30).
+ */
+function castDate(value: string): Date {
+    const date = new Date(`${value}T00:00:00Z`);
+    if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+        throw new RangeError('is not a valid calendar date');
+    }
+    return date;
+}
+
+/**
+ * Built-in parameter types, usable by name in `Route.where()` and
+ * `Router.pattern()`.
+ */
+const paramTypes: Record<string, ParamType> = {
+    int: { name: 'int', pattern: /^-?\d+$/, cast: castInt },
+    uuid: { name: 'uuid', pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i },
+    slug: { name: 'slug', pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/ },
+    date: { name: 'date', pattern: /^\d{4}-\d{2}-\d{2}$/, cast: castDate },
+};
+
+/**
+ * Checks whether a condition is a parameter type rather than a plain
+ * RegExp, list of values or function.
+ *
+ * @param condition - The condition to check.
+ * @returns `true` if the condition is a parameter type.
+ */
+function isParamType(condition: unknown): condition is ParamType {
+    return typeof condition === 'object'
+        && condition !== null
+        && !Array.isArray(condition)
+        && !(condition instanceof RegExp)
+        && (condition as ParamType).pattern instanceof RegExp;
+}
+
+export {
+    paramTypes,
+    isParamType
+}
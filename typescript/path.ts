@@ -0,0 +1,88 @@
+import { HttpError } from "./errors.js";
+
+export type EncodedSlashes = 'decode' | 'keep' | 'reject';
+
+const MALFORMED_ESCAPE = /%(?![0-9a-f]{2})/i;
+const ESCAPE_RUN = /(?:%[0-9a-f]{2})+/gi;
+
+/**
+ * Percent-decodes a single path segment. Decoded `%` and `/` characters are
+ * re-encoded, so the segment can still be matched without splitting it.
+ *
+ * @param segment - The raw segment.
+ * @param encodedSlashes - How encoded slashes are handled.
+ * @returns The decoded segment.
+ * @throws An `HttpError` 400 for malformed escapes, dot segments, and
+ * encoded slashes when they are rejected.
+ */
+function decodeSegment(segment: string, encodedSlashes: EncodedSlashes): string {
+    let decoded = segment;
+
+    if (segment.includes('%')) {
+        if (MALFORMED_ESCAPE.test(segment)) {
+            throw new HttpError(400, 'Malformed percent-encoding in the path');
+        }
+
+        if (encodedSlashes === 'reject' && /%2f/i.test(segment)) {
+            throw new HttpError(400, 'Encoded slashes are not allowed in the path');
+        }
+
+        try {
+            decoded = segment.replace(ESCAPE_RUN, run => decodeURIComponent(run).replace(/[%/]/g, encodeURIComponent));
+        } catch {
+            throw new HttpError(400, 'Malformed percent-encoding in the path'); // Invalid UTF-8 sequence
+        }
+    }
+
+    if (decoded === '.' || decoded === '..') {
+        throw new HttpError(400, 'Dot segments are not allowed in the path');
+    }
+
+    return decoded;
+}
+
+/**
+ * Decodes a request path for matching. Every segment is percent-decoded,
+ * except for `%2F` and `%25`, which stay encoded so that an encoded slash
+ * never splits a segment.
+ *
+ * @param path - The raw path of the request, without the query string.
+ * @param encodedSlashes - How encoded slashes are handled.
+ * @returns The path to match.
+ * @throws An `HttpError` 400 if the path is malformed or contains dot segments.
+ */
+function decodePath(path: string, encodedSlashes: EncodedSlashes): string {
+    if (!path.includes('%') && !path.includes('/.')) {
+        return path;
+    }
+
+    return path.split('/').map(segment => decodeSegment(segment, encodedSlashes)).join('/');
+}
+
+/**
+ * Decodes the `%2F` and `%25` escapes left in a matched parameter by
+ * `decodePath()`. When encoded slashes are kept, both stay encoded, so that
+ * `a%2Fb` and `a%252Fb` remain distinct.
+ *
+ * @param value - The value of the parameter.
+ * @param encodedSlashes - How encoded slashes are handled.
+ * @returns The decoded value.
+ * @throws An `HttpError` 400 if the value holds a malformed escape, e.g.
+ * when a multi-parameter segment was split inside one.
+ */
+function decodeParam(value: string, encodedSlashes: EncodedSlashes = 'decode'): string {
+    if (encodedSlashes === 'keep' || !value.includes('%')) {
+        return value;
+    }
+
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        throw new HttpError(400, 'Malformed percent-encoding in the path');
+    }
+}
+
+export {
+    decodePath,
+    decodeParam
+}
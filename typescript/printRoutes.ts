@@ -0,0 +1,128 @@
+import type { Condition } from "./Route.js";
+import type { RouteDescriptor } from "./Router.js";
+import { isParamType } from "./paramTypes.js";
+
+interface TreeEntry {
+    children: Map<string, TreeEntry>;
+    routes: RouteDescriptor[];
+}
+
+/**
+ * Describes a `where()` condition in a single line.
+ *
+ * @param condition - The condition to describe.
+ * @returns A short description of the condition.
+ */
+function describeCondition(condition: Condition): string {
+    if (condition instanceof RegExp) {
+        return String(condition);
+    }
+
+    if (Array.isArray(condition)) {
+        return `[${condition.join(', ')}]`;
+    }
+
+    if (isParamType(condition)) {
+        return condition.name ?? String(condition.pattern);
+    }
+
+    return condition.name ? `${condition.name}()` : 'function';
+}
+
+/**
+ * Describes the conditions of a route in a single line.
+ *
+ * @param route - The route to describe.
+ * @returns The conditions, e.g. `id: int, slug: [a, b]`.
+ */
+function describeWheres(route: RouteDescriptor): string {
+    return Object.entries(route.wheres)
+        .map(([param, condition]) => `${param}: ${describeCondition(condition)}`)
+        .join(', ');
+}
+
+/**
+ * Describes the methods, name and conditions of a route in a single line.
+ *
+ * @param route - The route to describe.
+ * @returns The description, e.g. `GET|POST @api.example.com users.show { id: int }`.
+ */
+function describeRoute(route: RouteDescriptor): string {
+    const wheres = describeWheres(route);
+
+    return [
+        route.methods.join('|'),
+        route.host && `@${route.host}`,
+        route.name,
+        wheres && `{ ${wheres} }`,
+    ].filter(Boolean).join(' ');
+}
+
+/**
+ * Renders routes as a table with one row per route. The `HOST` column is only
+ * shown when a route has a host.
+ *
+ * @param routes - The routes to render.
+ * @returns The rendered table.
+ */
+function formatRoutesTable(routes: RouteDescriptor[]): string {
+    const hasHosts = routes.some(route => route.host);
+    const header = ['METHOD', ...(hasHosts ? ['HOST'] : []), 'URI', 'NAME', 'MIDDLEWARE', 'WHERE'];
+    const rows = routes.map(route => [
+        route.methods.join('|'),
+        ...(hasHosts ? [route.host ?? ''] : []),
+        route.uri,
+        route.name ?? '',
+        String(route.middleware),
+        describeWheres(route),
+    ]);
+
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+
+    return [header, ...rows]
+        .map(row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd())
+        .join('\n');
+}
+
+/**
+ * Renders routes as a tree of URI segments, with the routes listed next to
+ * the segment they end on.
+ *
+ * @param routes - The routes to render.
+ * @returns The rendered tree.
+ */
+function formatRoutesTree(routes: RouteDescriptor[]): string {
+    const root: TreeEntry = { children: new Map(), routes: [] };
+
+    for (const route of routes) {
+        let entry = root;
+        for (const segment of route.uri.split('/').filter(Boolean)) {
+            if (!entry.children.has(segment)) {
+                entry.children.set(segment, { children: new Map(), routes: [] });
+            }
+            entry = entry.children.get(segment)!;
+        }
+        entry.routes.push(route);
+    }
+
+    const lines = [['/', ...root.routes.map(describeRoute)].join('  ')];
+
+    const render = (entry: TreeEntry, indent: string) => {
+        const children = [...entry.children];
+
+        children.forEach(([segment, child], index) => {
+            const isLast = index === children.length - 1;
+            lines.push([`${indent}${isLast ? '└── ' : '├── '}${segment}`, ...child.routes.map(describeRoute)].join('  '));
+            render(child, indent + (isLast ? '    ' : '│   '));
+        });
+    };
+
+    render(root, '');
+
+    return lines.join('\n');
+}
+
+export {
+    formatRoutesTable,
+    formatRoutesTree
+}
@@ -0,0 +1,97 @@
+export type QueryValue = string | string[] | { [key: string]: QueryValue };
+
+export interface QueryOptions {
+    nested?: boolean;
+    depth?: number;
+}
+
+/**
+ * Keys skipped in bracket paths, where they would reach into prototypes of
+ * objects built by other code from the parsed query.
+ */
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * Splits a key written with the bracket syntax into its path,
+ * e.g. `a[b][]` into `['a', 'b', '']`.
+ *
+ * @param key - The key of the query parameter.
+ * @param depth - The maximum number of nested keys.
+ * @returns The path, or null if the key does not use the bracket syntax.
+ */
+function splitKey(key: string, depth: number): string[] | null {
+    const match = /^([^[\]]+)((?:\[[^[\]]*\])+)$/.exec(key);
+    if (!match) {
+        return null;
+    }
+
+    const path = [match[1], ...match[2].slice(1, -1).split('][')];
+
+    return path.length - 1 > depth ? null : path;
+}
+
+/**
+ * Assigns a value at the given path of a nested query object. An empty key
+ * (`a[]`) appends to an array. Assignments that conflict with an existing
+ * value of another shape are ignored. Objects are created without a
+ * prototype, so that keys such as `toString` are plain values.
+ *
+ * @param target - The query object.
+ * @param path - The path of the value.
+ * @param value - The value to assign.
+ */
+function assignPath(target: Record<string, QueryValue>, path: string[], value: string): void {
+    const [key, ...rest] = path;
+    const existing = target[key];
+
+    if (!rest.length) {
+        target[key] = existing === undefined ? value : [existing, value].flat() as string[];
+        return;
+    }
+
+    if (rest.length === 1 && rest[0] === '') {
+        if (existing === undefined || Array.isArray(existing)) {
+            target[key] = [...(existing ?? []), value];
+        }
+        return;
+    }
+
+    if (existing === undefined) {
+        target[key] = Object.create(null);
+    } else if (typeof existing !== 'object' || Array.isArray(existing)) {
+        return;
+    }
+
+    assignPath(target[key] as Record<string, QueryValue>, rest, value);
+}
+
+/**
+ * Parses a query string into an object without a prototype. Repeated keys are
+ * collected into arrays. With the `nested` option, keys written with brackets
+ * build nested objects (`a[b]=c`) and arrays (`a[]=1&a[]=2`), up to `depth`
+ * levels; `__proto__`, `constructor` and `prototype` are not allowed in them.
+ *
+ * @param search - The query string, without the leading `?`.
+ * @param options - The parsing options.
+ * @returns The parsed query.
+ */
+function parseQuery(search: string, options: QueryOptions = {}): Record<string, QueryValue> {
+    const query: Record<string, QueryValue> = Object.create(null);
+    const depth = options.depth ?? 5;
+
+    for (const [key, value] of new URLSearchParams(search)) {
+        const nested = options.nested ? splitKey(key, depth) : null;
+
+        if (nested?.some(part => UNSAFE_KEYS.has(part))) {
+            continue;
+        }
+
+        assignPath(query, nested ?? [key], value);
+    }
+
+    return query;
+}
+
+export {
+    parseQuery
+}
@@ -0,0 +1,82 @@
+export type ResourceAction = 'index' | 'create' | 'store' | 'show' | 'edit' | 'update' | 'destroy';
+
+export interface ResourceOptions {
+    only?: ResourceAction[];
+    except?: ResourceAction[];
+    param?: string;
+}
+
+export interface ResourceRoute {
+    action: ResourceAction;
+    methods: string[];
+    path: string;
+}
+
+/**
+ * The routes of a resource, in registration order. `:param` is replaced by
+ * the parameter of the resource.
+ */
+const RESOURCE_ROUTES: ResourceRoute[] = [
+    { action: 'index', methods: ['GET'], path: '' },
+    { action: 'create', methods: ['GET'], path: '/create' },
+    { action: 'store', methods: ['POST'], path: '' },
+    { action: 'show', methods: ['GET'], path: '/:param' },
+    { action: 'edit', methods: ['GET'], path: '/:param/edit' },
+    { action: 'update', methods: ['PUT', 'PATCH'], path: '/:param' },
+    { action: 'destroy', methods: ['DELETE'], path: '/:param' },
+];
+
+const API_EXCLUDED: ResourceAction[] = ['create', 'edit'];
+
+/**
+ * Selects the routes to register for a resource.
+ *
+ * @param api - Whether the resource is an API resource, without the
+ * `create` and `edit` HTML form routes.
+ * @param options - The `only` and `except` options.
+ * @returns The selected routes.
+ * @throws If `only` or `except` contain an unknown action.
+ */
+function selectResourceRoutes(api: boolean, options: ResourceOptions): ResourceRoute[] {
+    for (const action of [...(options.only ?? []), ...(options.except ?? [])]) {
+        if (!RESOURCE_ROUTES.some(route => route.action === action)) {
+            throw new TypeError(`Unknown resource action: ${action}`);
+        }
+    }
+
+    return RESOURCE_ROUTES.filter(({ action }) => (!api || !API_EXCLUDED.includes(action))
+        && (!options.only || options.only.includes(action))
+        && !options.except?.includes(action));
+}
+
+/**
+ * The suffix rules that turn a plural resource name into its singular form.
+ */
+const SINGULAR_RULES: [RegExp, string][] = [
+    [/ies$/, 'y'],
+    [/([^aeiou]us)es$/, '$1'],
+    [/(x|z|ch|sh|ss)es$/, '$1'],
+    [/([^s])s$/, '$1'],
+];
+
+/**
+ * Returns the default parameter name of a resource: its singular form in
+ * camel case followed by `Id`, e.g. `photos` → `photoId`, `blog-posts` →
+ * `blogPostId`, `categories` → `categoryId`, `statuses` → `statusId`,
+ * `houses` → `houseId`. Only the first matching suffix rule is applied;
+ * irregular plurals need the `param` option.
+ *
+ * @param resource - The name of the resource, as it appears in the URI.
+ * @returns The parameter name.
+ */
+function resourceParam(resource: string): string {
+    const rule = SINGULAR_RULES.find(([pattern]) => pattern.test(resource));
+    const singular = rule ? resource.replace(rule[0], rule[1]) : resource;
+
+    return `${singular.replace(/[-_]+([a-z0-9])/gi, (_, char: string) => char.toUpperCase())}Id`;
+}
+
+export {
+    selectResourceRoutes,
+    resourceParam
+}
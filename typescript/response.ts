@@ -0,0 +1,241 @@
+import { Readable, Writable } from "node:stream";
+import { OutgoingMessage } from "node:http";
+import { pipeline } from "node:stream/promises";
+import type { ServerResponse } from "node:http";
+
+export type StreamSource = Readable | ReadableStream<Uint8Array> | AsyncIterable<unknown>;
+
+export interface ResponseHelpers {
+    status(code: number): this;
+    type(contentType: string): this;
+    json(value: unknown): void;
+    send(body: unknown): Promise<void>;
+    redirect(url: string, status?: number): void;
+    stream(source: StreamSource, contentType?: string): Promise<void>;
+}
+
+const CONTENT_TYPES: Record<string, string> = {
+    json: 'application/json',
+    html: 'text/html; charset=utf-8',
+    text: 'text/plain; charset=utf-8',
+    binary: 'application/octet-stream',
+};
+
+/**
+ * The responses whose body is dropped by `suppressBody()`.
+ */
+const bodiless = new WeakSet<ServerResponse>();
+
+/**
+ * Checks whether a value is a stream that can be sent with `stream()`.
+ *
+ * @param value - The value to check.
+ * @returns `true` for readable streams, web streams and async iterables.
+ */
+function isStream(value: unknown): value is StreamSource {
+    return value instanceof Readable
+        || (typeof ReadableStream !== 'undefined' && value instanceof ReadableStream)
+        || (typeof value === 'object' && value !== null && Symbol.asyncIterator in value);
+}
+
+/**
+ * Checks whether a value is a response or another writable stream, as
+ * returned by `stream.pipe(res)`, `res.writeHead()` or `res.status()`.
+ *
+ * @param value - The value to check.
+ * @returns `true` for `ServerResponse` and writable streams that are not also
+ * readable, since a duplex stream such as a gzip transform can still be piped.
+ */
+function isWritable(value: unknown): boolean {
+    return value instanceof OutgoingMessage || (value instanceof Writable && !(value instanceof Readable));
+}
+
+/**
+ * Sets the `Content-Type` header unless it is already set.
+ *
+ * @param res - The outgoing HTTP response.
+ * @param contentType - The content type.
+ */
+function defaultType(res: ServerResponse, contentType: string): void {
+    if (!res.hasHeader('Content-Type')) {
+        res.setHeader('Content-Type', contentType);
+    }
+}
+
+/**
+ * Pipes a stream to the response and resolves once the response has ended.
+ *
+ * @param res - The outgoing HTTP response.
+ * @param source - A readable stream, a web `ReadableStream` or an async iterable.
+ * @param contentType - The content type, if not already set; defaults to
+ * `application/octet-stream`.
+ * @returns A Promise that rejects if the stream fails.
+ */
+async function stream(res: ServerResponse, source: StreamSource, contentType?: string): Promise<void> {
+    if (contentType) {
+        res.setHeader('Content-Type', CONTENT_TYPES[contentType] ?? contentType);
+    } else {
+        defaultType(res, CONTENT_TYPES.binary);
+    }
+
+    const readable = source instanceof Readable
+        ? source
+        : typeof ReadableStream !== 'undefined' && source instanceof ReadableStream
+            ? Readable.fromWeb(source as import("node:stream/web").ReadableStream<Uint8Array>)
+            : Readable.from(source as AsyncIterable<unknown>);
+
+    if (bodiless.has(res)) {
+        readable.destroy();
+        res.end();
+        return;
+    }
+
+    await pipeline(readable, res);
+}
+
+/**
+ * Drops the body of a response, as needed for `HEAD` requests, while keeping
+ * its headers: a body passed to `end()` still sets `Content-Length` unless
+ * the header is already set, and streams sent with `stream()` are not read.
+ *
+ * @param res - The outgoing HTTP response.
+ */
+function suppressBody(res: ServerResponse): void {
+    if (bodiless.has(res)) {
+        return;
+    }
+
+    bodiless.add(res);
+    const end = res.end.bind(res) as (callback?: () => void) => ServerResponse;
+    const callbackOf = (...args: unknown[]) => args.find(arg => typeof arg === 'function') as (() => void) | undefined;
+
+    res.write = ((chunk: unknown, ...args: unknown[]) => {
+        if (!res.headersSent) {
+            res.flushHeaders();
+        }
+
+        const callback = callbackOf(...args);
+        if (callback) {
+            process.nextTick(callback);
+        }
+
+        return true;
+    }) as typeof res.write;
+
+    res.end = ((chunk?: unknown, ...args: unknown[]) => {
+        if (typeof chunk === 'function') {
+            return end(chunk as () => void);
+        }
+
+        if ((typeof chunk === 'string' || chunk instanceof Uint8Array) && !res.headersSent && !res.hasHeader('Content-Length')) {
+            const encoding = typeof args[0] === 'string' ? args[0] as BufferEncoding : 'utf8';
+            res.setHeader('Content-Length', typeof chunk === 'string' ? Buffer.byteLength(chunk, encoding) : chunk.byteLength);
+        }
+
+        return end(callbackOf(...args));
+    }) as typeof res.end;
+}
+
+/**
+ * Sends a value as the body of the response and ends it: a Fetch API
+ * `Response` is copied with its status and headers, a string is sent as text,
+ * a `Buffer` or `Uint8Array` as binary data, a stream is piped, and any other
+ * value is sent as JSON. A `Content-Type` already set is kept. The response
+ * itself or another writable stream is ignored and leaves the response open.
+ *
+ * @param res - The outgoing HTTP response.
+ * @param body - The value to send.
+ * @returns A Promise that resolves once the body has been sent.
+ */
+async function send(res: ServerResponse, body: unknown): Promise<void> {
+    if (body === res || isWritable(body)) {
+        return;
+    }
+
+    if (typeof Response !== 'undefined' && body instanceof Response) {
+        res.statusCode = body.status;
+        if (body.statusText) {
+            res.statusMessage = body.statusText;
+        }
+        body.headers.forEach((value, name) => {
+            if (name !== 'set-cookie') {
+                res.setHeader(name, value);
+            }
+        });
+        const cookies = body.headers.getSetCookie();
+        if (cookies.length) {
+            res.setHeader('Set-Cookie', cookies);
+        }
+        res.end(body.body ? Buffer.from(await body.arrayBuffer()) : undefined);
+        return;
+    }
+
+    if (typeof body === 'string') {
+        defaultType(res, CONTENT_TYPES.text);
+        res.end(body);
+    } else if (body instanceof Uint8Array) {
+        defaultType(res, CONTENT_TYPES.binary);
+        res.end(body);
+    } else if (isStream(body)) {
+        await stream(res, body);
+    } else {
+        const json = JSON.stringify(body); // Throws on circular values before the headers are changed
+        defaultType(res, CONTENT_TYPES.json);
+        res.end(json);
+    }
+}
+
+/**
+ * Adds the response helpers to `res`: `status()`, `type()`, `json()`,
+ * `send()`, `redirect()` and `stream()`. Methods that `res` already has, for
+ * example when it comes from Express, are left untouched.
+ *
+ * @param res - The outgoing HTTP response.
+ */
+function decorateResponse(res: ServerResponse): void {
+    const helpers: { [name in keyof ResponseHelpers]: (this: ServerResponse, ...args: never[]) => unknown } = {
+        status(code: number) {
+            if (!Number.isInteger(code) || code < 100 || code > 999) {
+                throw new TypeError(`Invalid status code: ${code}`);
+            }
+            this.statusCode = code;
+            return this;
+        },
+        type(contentType: string) {
+            this.setHeader('Content-Type', CONTENT_TYPES[contentType] ?? contentType);
+            return this;
+        },
+        json(value: unknown) {
+            defaultType(this, CONTENT_TYPES.json);
+            this.end(JSON.stringify(value));
+        },
+        send(body: unknown) {
+            return send(this, body);
+        },
+        redirect(url: string, status = 302) {
+            if (![300, 301, 302, 303, 307, 308].includes(status)) {
+                throw new TypeError(`Invalid redirect status: ${status}`);
+            }
+            this.statusCode = status;
+            this.setHeader('Location', url);
+            this.end();
+        },
+        stream(source: StreamSource, contentType?: string) {
+            return stream(this, source, contentType);
+        },
+    };
+
+    for (const [name, helper] of Object.entries(helpers)) {
+        if (!(name in res)) {
+            Object.defineProperty(res, name, { value: helper, configurable: true, writable: true });
+        }
+    }
+}
+
+export {
+    send,
+    isWritable,
+    stream,
+    suppressBody,
+    decorateResponse
+}
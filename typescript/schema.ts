@@ -0,0 +1,268 @@
+import type { ValidationIssue } from "./Router.js";
+
+export type SchemaType = 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null';
+
+export interface JSONSchema {
+    type?: SchemaType | SchemaType[];
+    enum?: unknown[];
+    const?: unknown;
+    default?: unknown;
+    properties?: Record<string, JSONSchema>;
+    required?: string[];
+    additionalProperties?: boolean | JSONSchema;
+    items?: JSONSchema;
+    minItems?: number;
+    maxItems?: number;
+    uniqueItems?: boolean;
+    minLength?: number;
+    maxLength?: number;
+    pattern?: string;
+    format?: string;
+    minimum?: number;
+    maximum?: number;
+    exclusiveMinimum?: number;
+    exclusiveMaximum?: number;
+    multipleOf?: number;
+    anyOf?: JSONSchema[];
+    allOf?: JSONSchema[];
+    [key: string]: unknown;
+}
+
+export interface RouteSchema {
+    params?: JSONSchema;
+    query?: JSONSchema;
+    body?: JSONSchema;
+    headers?: JSONSchema;
+    response?: Record<string, JSONSchema>;
+}
+
+const FORMATS: Record<string, RegExp> = {
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    date: /^\d{4}-\d{2}-\d{2}$/,
+    'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})$/i,
+    uri: /^[a-z][a-z0-9+.-]*:[^\s]*$/i,
+};
+
+/**
+ * Thrown when a response does not match the schema declared for its status
+ * code with `Route.schema()`.
+ */
+class ResponseValidationError extends Error {
+    issues: ValidationIssue[];
+
+    constructor(issues: ValidationIssue[]) {
+        super(`Response does not match its schema: ${issues.map(issue => `${issue.path} ${issue.message}`).join(', ')}`);
+        this.name = 'ResponseValidationError';
+        this.issues = issues;
+    }
+}
+
+/**
+ * Returns the JSON Schema type of a value.
+ *
+ * @param value - The value.
+ * @returns The type, with integers reported as `'integer'`.
+ */
+function typeOf(value: unknown): SchemaType | 'undefined' {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value as SchemaType;
+}
+
+/**
+ * Converts a string to the first of the given types it can represent, as
+ * needed for values taken from the URL or the headers.
+ *
+ * @param value - The value to coerce.
+ * @param types - The types allowed by the schema.
+ * @returns The coerced value, or the value itself if it cannot be coerced.
+ */
+function coerce(value: unknown, types: SchemaType[]): unknown {
+    if (typeof value !== 'string' || types.includes('string')) {
+        return value;
+    }
+
+    for (const type of types) {
+        if ((type === 'number' || type === 'integer') && value.trim() !== '' && Number.isFinite(Number(value))) {
+            return Number(value);
+        }
+
+        if (type === 'boolean' && ['true', 'false', '1', '0'].includes(value)) {
+            return value === 'true' || value === '1';
+        }
+
+        if (type === 'null' && value === '') {
+            return null;
+        }
+    }
+
+    return value;
+}
+
+/**
+ * Checks whether two JSON values are deeply equal.
+ */
+function isEqual(a: unknown, b: unknown): boolean {
+    return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Validates a value against a JSON Schema subset: `type`, `enum`, `const`,
+ * `properties`, `required`, `additionalProperties`, `items`, the length,
+ * range and size keywords, `pattern`, `format` (`email`, `uuid`, `date`,
+ * `date-time`, `uri`), `anyOf` and `allOf`. Missing properties with a `default`
+ * are filled in.
+ *
+ * @param schema - The schema to validate against.
+ * @param value - The value to validate.
+ * @param path - The path of the value, used in the issues (e.g., `'query.page'`).
+ * @param coerceStrings - Whether to convert strings to the declared types, and
+ * single values to arrays, as needed for values taken from the URL.
+ * @returns The validated (and possibly coerced) value, and every issue found.
+ */
+function validateSchema(schema: JSONSchema, value: unknown, path: string, coerceStrings = false): { value: unknown; issues: ValidationIssue[] } {
+    const issues: ValidationIssue[] = [];
+    const fail = (message: string, at = path) => issues.push({ path: at, message });
+    const types = schema.type === undefined ? [] : [schema.type].flat();
+
+    if (coerceStrings && types.length) {
+        if (types.includes('array') && !Array.isArray(value) && value !== undefined) {
+            value = [value];
+        }
+        value = coerce(value, types);
+    }
+
+    const actual = typeOf(value);
+
+    if (types.length && !types.some(type => type === actual || (type === 'number' && actual === 'integer'))) {
+        fail(`must be ${types.join(' or ')}`);
+        return { value, issues };
+    }
+
+    if (schema.enum && !schema.enum.some(item => isEqual(item, value))) {
+        fail(`must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+    }
+
+    if ('const' in schema && !isEqual(schema.const, value)) {
+        fail(`must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(`must have at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail(`must have at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+            fail(`must match pattern ${schema.pattern}`);
+        }
+        if (schema.format !== undefined && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+            fail(`must be a valid ${schema.format}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail(`must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail(`must be <= ${schema.maximum}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            fail(`must be > ${schema.exclusiveMinimum}`);
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            fail(`must be < ${schema.exclusiveMaximum}`);
+        }
+        if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) {
+            fail(`must be a multiple of ${schema.multipleOf}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`must have at most ${schema.maxItems} items`);
+        }
+        if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+            fail('must not contain duplicate items');
+        }
+        if (schema.items) {
+            value = value.map((item, index) => {
+                const result = validateSchema(schema.items!, item, `${path}[${index}]`, coerceStrings);
+                issues.push(...result.issues);
+                return result.value;
+            });
+        }
+    }
+
+    if (actual === 'object') {
+        const object: Record<string, unknown> = { ...(value as Record<string, unknown>) };
+
+        for (const property of schema.required ?? []) {
+            if (object[property] === undefined && schema.properties?.[property]?.default === undefined) {
+                fail('is required', `${path}.${property}`);
+            }
+        }
+
+        for (const [property, propertySchema] of Object.entries(schema.properties ?? {})) {
+            if (object[property] === undefined) {
+                if (propertySchema.default !== undefined) {
+                    object[property] = propertySchema.default;
+                }
+                continue;
+            }
+
+            const result = validateSchema(propertySchema, object[property], `${path}.${property}`, coerceStrings);
+            issues.push(...result.issues);
+            object[property] = result.value;
+        }
+
+        if (schema.additionalProperties !== undefined && schema.additionalProperties !== true) {
+            for (const property of Object.keys(object)) {
+                if (schema.properties && property in schema.properties) {
+                    continue;
+                }
+
+                if (schema.additionalProperties === false) {
+                    fail('is not allowed', `${path}.${property}`);
+                } else {
+                    const result = validateSchema(schema.additionalProperties, object[property], `${path}.${property}`, coerceStrings);
+                    issues.push(...result.issues);
+                    object[property] = result.value;
+                }
+            }
+        }
+
+        value = object;
+    }
+
+    for (const subschema of schema.allOf ?? []) {
+        const result = validateSchema(subschema, value, path, coerceStrings);
+        issues.push(...result.issues);
+        value = result.value;
+    }
+
+    if (schema.anyOf) {
+        const results = schema.anyOf.map(subschema => validateSchema(subschema, value, path, coerceStrings));
+        const valid = results.find(result => !result.issues.length);
+
+        if (valid) {
+            value = valid.value;
+        } else {
+            fail('must match at least one schema in anyOf');
+        }
+    }
+
+    return { value, issues };
+}
+
+export {
+    ResponseValidationError,
+    validateSchema
+}